@@ -0,0 +1,207 @@
+/*
+ * The receive path of version 0.15.0, for comparison by parser.js: the array-based parser, the data event
+ * listener which dispatches each packet to its handler, and the handlers for the packet types in the benchmark.
+ * The code is copied unchanged from lib/rfxcom.js of that version, apart from the debug logging
+ */
+module.exports = Baseline;
+/*jshint -W104 */
+const util = require("util"),
+    EventEmitter = require("events").EventEmitter;
+
+function Baseline() {
+    var self = this;
+
+    EventEmitter.call(self);
+    self.handlers = {
+        0x11: "lighting2Handler",
+        0x50: "temp19Handler",
+        0x52: "temphumidity19Handler",
+        0x54: "temphumbaro12Handler",
+        0x56: "wind16Handler",
+        0x5a: "elec23Handler"
+    };
+    self.receiving = true;
+
+    self.rfxtrxParser = function() {
+        var data = [],
+            requiredBytes = 0;
+        return function(emitter, buffer) {
+            if (self.receiving) {
+                data.push.apply(data, buffer);
+                while (data.length >= requiredBytes) {
+                    if (requiredBytes > 0) {
+                        emitter.emit("data", data.slice(0, requiredBytes));
+                        data = data.slice(requiredBytes);
+                    }
+                    if (data.length > 0 && data[0] >= 4 && data[0] <= 36) {
+                        requiredBytes = data[0] + 1;
+                    } else {
+                        requiredBytes = 0;
+                        data = [];
+                        break;
+                    }
+                }
+            }
+        };
+    };
+}
+
+util.inherits(Baseline, EventEmitter);
+
+// The body of the serialport 'data' event listener
+Baseline.prototype.receivePacket = function (data) {
+    var self = this;
+    self.emit("receive", data);
+
+    var length = data[0] + 1,
+        packetType = data[1],
+        handler = self.handlers[packetType];
+    // Avoid calling a handler with the wrong length packet
+    if (data.length === length && typeof handler !== "undefined") {
+        try {
+            self[handler](data.slice(2));
+        } catch (e) {
+        }
+    }
+};
+
+Baseline.prototype.dumpHex = function (buffer, prefix) {
+    prefix = prefix || "";
+
+    function dec2hex(value) {
+        var hexDigits = "0123456789ABCDEF";
+        return prefix + (hexDigits[value >> 4] + hexDigits[value & 15]);
+    }
+    return buffer.map(dec2hex);
+};
+
+Baseline.prototype.bytesToUint32 = function (bytes) {
+    return (bytes[3] + 256*(bytes[2] + 256*(bytes[1] + 256*bytes[0])));
+};
+
+Baseline.prototype.bytesToUint48 = function (bytes) {
+    return (bytes[5] + 256*(bytes[4] + 256*(bytes[3] + 256*(bytes[2] + 256*(bytes[1] + 256*bytes[0])))));
+};
+
+Baseline.prototype.lighting2Handler = function (data) {
+    var self = this;
+    var commands, idBytes, evt;
+    commands = {
+        0: "Off",
+        1: "On",
+        2: "Set Level",
+        3: "Group Off",
+        4: "Group On",
+        5: "Set Group Level"
+    };
+    idBytes = data.slice(2, 6);
+    idBytes[0] &= ~0xfc; // "id1 : 2"
+    evt = {
+        subtype: data[0],
+        seqnbr: data[1],
+        id: "0x" + self.dumpHex(idBytes, false).join(""),
+        unitcode: data[6],
+        commandNumber: data[7],
+        command: commands[data[7]] || "Unknown",
+        level: data[8],
+        rssi: (data[9] >> 4) & 0xf
+    };
+
+    self.emit("lighting2", evt);
+};
+
+Baseline.prototype.temp19Handler = function (data) {
+    var self = this,
+        temperature = ((data[4] & 0x7f) * 256 + data[5]) / 10,
+        signbit = data[4] & 0x80,
+        evt = {
+            subtype: data[0],
+            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
+            seqnbr: data[1],
+            temperature: temperature * (signbit ? -1 : 1),
+            batteryLevel: data[6] & 0x0f,
+            rssi: (data[6] >> 4) & 0xf
+        };
+    self.emit("temp" + data[0], evt);
+};
+
+Baseline.prototype.temphumidity19Handler = function (data) {
+    var self = this,
+        temperature = ((data[4] & 0x7f) * 256 + data[5]) / 10,
+        signbit = data[4] & 0x80,
+        evt = {
+            subtype: data[0],
+            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
+            seqnbr: data[1],
+            temperature: temperature * (signbit ? -1 : 1),
+            humidity: data[6],
+            humidityStatus: data[7],
+            batteryLevel: data[8] & 0x0f,
+            rssi: (data[8] >> 4) & 0xf
+        };
+
+    self.emit("th" + data[0], evt);
+};
+
+Baseline.prototype.temphumbaro12Handler = function (data) {
+    var self = this,
+        temperature = ((data[4] & 0x7f)*256 + data[5])/10,
+        signbit = data[4] & 0x80,
+        evt = {
+            subtype: data[0],
+            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
+            seqnbr: data[1],
+            temperature: temperature * (signbit ? -1 : 1),
+            humidity: data[6],
+            humidityStatus: data[7],
+            barometer: ((data[8] & 0x7f)*256 + data[9]),
+            forecast: data[10],
+            batteryLevel: data[11] & 0x0f,
+            rssi: (data[11] >> 4) & 0xf
+        };
+    self.emit("thb" + data[0], evt);
+};
+
+Baseline.prototype.wind16Handler = function (data) {
+    var self = this;
+    var temperature, signbit, chillFactor, evt;
+    evt = {
+        subtype:      data[0],
+        id:           "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
+        seqnbr:       data[1],
+        direction:    data[4]*256 + data[5],
+        gustSpeed:    (data[8]*256 + data[9])/10,
+        batteryLevel: data[14] & 0x0f,
+        rssi:         (data[14] >> 4) & 0xf
+    };
+    if (data[0] !== 5) {
+        evt.averageSpeed = (data[6]*256 + data[7])/10;
+    }
+    if (data[0] === 4) {
+        temperature = ((data[10] & 0x7f)*256 + data[11])/10;
+        signbit = data[10] & 0x80;
+        evt.temperature = temperature*(signbit ? -1 : 1);
+        chillFactor = ((data[12] & 0x7f)*256 + data[13])/10;
+        signbit = data[12] & 0x80;
+        evt.chillfactor = chillFactor*(signbit ? -1 : 1);
+    }
+    self.emit("wind" + data[0], evt);
+};
+
+Baseline.prototype.elec23Handler = function (data) {
+    var self = this;
+    var evt;
+    evt = {
+        subtype: data[0],
+        seqnbr: data[1],
+        id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
+        count: data[4],
+        power: self.bytesToUint32(data.slice(5, 9)),            // units watts
+        batteryLevel: data[15] & 0x0f,
+        rssi: (data[15] >> 4) & 0xf
+    };
+    if (evt.subtype === 0x01 || (evt.subtype === 0x02 && evt.count === 0)) {
+        evt.energy = self.bytesToUint48(data.slice(9, 15))/223.666;  // units watt-hours
+    }
+    self.emit("elec" + (data[0] + 1), evt);
+};
@@ -0,0 +1,158 @@
+/*
+ * Compares the receive path (the parser, and optionally the packet handlers) with that of version 0.15.0
+ * (see baseline.js). A stream of sensor & lighting packets is split into reads of random sizes (as the
+ * serial port delivers them). For each, it reports the throughput, the number of garbage collections & the
+ * time spent in them, and the growth in the heap used. Each figure is the median of several rounds.
+ *
+ *   node --expose-gc benchmark/parser.js [packet count]
+ */
+var rfxcom = require("../lib"),
+    Baseline = require("./baseline"),
+    EventEmitter = require("events").EventEmitter,
+    perfHooks = require("perf_hooks");
+
+var samples = [
+    [0x08, 0x50, 0x02, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x69],
+    [0x0A, 0x52, 0x01, 0x04, 0xAF, 0x01, 0x00, 0x90, 0x36, 0x02, 0x59],
+    [0x0B, 0x11, 0x00, 0x01, 0x03, 0x9A, 0xC7, 0xA1, 0x01, 0x00, 0x0F, 0xF0],
+    [0x0D, 0x54, 0x02, 0x0E, 0xE9, 0x00, 0x00, 0xC9, 0x27, 0x02, 0x03, 0xE7, 0x04, 0x39],
+    [0x10, 0x56, 0x04, 0x0A, 0x2F, 0x00, 0x00, 0x87, 0x00, 0x00, 0x00, 0x14, 0x80, 0x4D, 0x80, 0x55, 0x79],
+    [0x11, 0x5A, 0x01, 0x07, 0x1A, 0x73, 0x00, 0x00, 0x00, 0x03, 0xF6, 0x00, 0x00, 0x00, 0x00, 0x35, 0x0B, 0x89]
+];
+// The events emitted by the handlers for the sample packets
+var events = ["temp2", "th1", "lighting2", "thb2", "wind4", "elec2"];
+
+function makeReads(count, maxRead) {
+    var stream = [], reads = [], start = 0, size, index;
+    for (index = 0; index < count; index++) {
+        stream.push.apply(stream, samples[index % samples.length]);
+    }
+    stream = Buffer.from(stream);
+    while (start < stream.length) {
+        size = 1 + Math.floor(Math.random()*maxRead);
+        // Each read gets its own Buffer, as a transport delivers them
+        reads.push(Buffer.from(stream.subarray(start, start + size)));
+        start += size;
+    }
+    return reads;
+}
+
+var gcEntries = [],
+    gcObserver = new perfHooks.PerformanceObserver(function (list) {
+        gcEntries.push.apply(gcEntries, list.getEntries());
+    });
+gcObserver.observe({entryTypes: ["gc"]});
+
+// Passes the reads to a new parser of the device. Calls back with the packets/s parsed (and handled, if
+// handle is true), the GC count & time (ms), and the heap growth (bytes)
+function run(device, reads, packetCount, handle, callback) {
+    var emitter = new EventEmitter(),
+        parser = device.rfxtrxParser(),
+        received = 0,
+        start, elapsed, startTime, endTime, heapUsed;
+    if (handle) {
+        emitter.on("data", function (packet) {
+            device.receivePacket(packet);
+        });
+        events.forEach(function (name) {
+            device.on(name, function () {
+                received++;
+            });
+        });
+    } else {
+        emitter.on("data", function () {
+            received++;
+        });
+    }
+    if (global.gc) {
+        global.gc();
+    }
+    heapUsed = process.memoryUsage().heapUsed;
+    startTime = perfHooks.performance.now();
+    start = process.hrtime();
+    reads.forEach(function (read) {
+        parser(emitter, read);
+    });
+    elapsed = process.hrtime(start);
+    endTime = perfHooks.performance.now();
+    heapUsed = process.memoryUsage().heapUsed - heapUsed;
+    if (received !== packetCount) {
+        throw new Error("Received " + received + " packets, expected " + packetCount);
+    }
+    // GC entries are delivered to the observer asynchronously, on a later turn of the event loop
+    setTimeout(function () {
+        var collections = gcEntries.filter(function (entry) {
+            return entry.startTime >= startTime && entry.startTime < endTime;
+        });
+        gcEntries = [];
+        callback({
+            rate: received/(elapsed[0] + elapsed[1]/1e9),
+            gcCount: collections.length,
+            gcTime: collections.reduce(function (total, entry) {
+                return total + entry.duration;
+            }, 0),
+            heapUsed: heapUsed
+        });
+    }, 0);
+}
+
+function median(results, field) {
+    var values = results.map(function (result) {
+        return result[field];
+    }).sort(function (a, b) {
+        return a - b;
+    });
+    return values[values.length >> 1];
+}
+
+var packetCount = parseInt(process.argv[2], 10) || 100000,
+    rounds = 5,
+    paths = {
+        "0.15.0 ": function () {
+            return new Baseline();
+        },
+        "current": function () {
+            var device = new rfxcom.RfxCom("benchmark");
+            device.receiving = true;
+            return device;
+        }
+    },
+    tests = [];
+
+if (!global.gc) {
+    console.log("Run with node --expose-gc for consistent GC & heap figures");
+}
+[1, 8, 64].forEach(function (maxRead) {
+    [false, true].forEach(function (handle) {
+        Object.keys(paths).forEach(function (name) {
+            tests.push({name: name, maxRead: maxRead, handle: handle});
+        });
+    });
+});
+
+(function next(index, reads) {
+    var test = tests[index], results = [];
+    if (test === undefined) {
+        gcObserver.disconnect();
+        return;
+    }
+    if (index === 0 || test.maxRead !== tests[index - 1].maxRead) {
+        reads = makeReads(packetCount, test.maxRead);
+    }
+    (function round() {
+        run(paths[test.name](), reads, packetCount, test.handle, function (result) {
+            results.push(result);
+            if (results.length < rounds) {
+                round();
+            } else {
+                console.log(test.name + (test.handle ? ", handling" : ", parsing ") + ", reads of up to " +
+                            (test.maxRead + " bytes:  ").slice(0, 10) +
+                            ("       " + Math.round(median(results, "rate"))).slice(-8) + " packets/s, " +
+                            ("   " + median(results, "gcCount")).slice(-4) + " GCs (" +
+                            median(results, "gcTime").toFixed(1) + " ms), heap +" +
+                            (median(results, "heapUsed")/1048576).toFixed(1) + " MB");
+                next(index + 1, reads);
+            }
+        });
+    })();
+})(0);
@@ -103,8 +103,7 @@ Blinds1.prototype._sendCommand = function(deviceId, command, callback) {
     if (this.isSubtype("BLINDS_T6") || this.isSubtype("BLINDS_T7") || this.isSubtype("BLINDS_T9")) {
         buffer[7]  = buffer[7] | device.idBytes[3];
     }
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 /*
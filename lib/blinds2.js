@@ -0,0 +1,137 @@
+module.exports = Blinds2;
+/*jshint -W104 */
+const defines = require('./defines'),
+    index = require('./index'),
+    util = require('util');
+
+/*
+ * This is a class for controlling Brel & Dooya DDxxxx blinds motors, which can be sent to an absolute
+ * position (percentage closed) & slat angle
+ */
+function Blinds2(rfxcom, subtype) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.subtype = subtype;
+
+    if (typeof self.subtype === "undefined") {
+        throw new Error("Must provide a subtype.");
+    }
+}
+
+/*
+    Returns true if the subtype matches the supplied subtypeName
+ */
+Blinds2.prototype.isSubtype = function (subtypeName) {
+    return index.blinds2[subtypeName] === this.subtype;
+};
+
+/*
+ * Splits the device id (32-bit remote ID/unit code 0 - 15, 0 being all the units of the remote) and returns
+ * the components.
+ * Throws an Error if the format is invalid.
+ */
+Blinds2.prototype._splitDeviceId = function (deviceId) {
+    var parts, id, unitCode;
+    if (util.isArray(deviceId)) {
+        parts = deviceId;
+    } else {
+        parts = deviceId.split("/");
+    }
+    if (parts.length !== 2) {
+        throw new Error("Invalid deviceId format");
+    }
+    id = this.rfxcom.stringToBytes(parts[0], 4);
+    if (id.value === 0 || id.value > 0xffffffff) {
+        throw new Error("Address 0x" + id.value.toString(16) + " outside valid range");
+    }
+    unitCode = parseInt(parts[1]);
+    if (isNaN(unitCode) || unitCode < 0 || unitCode > 15) {
+        throw new Error("Invalid unit code " + parts[1]);
+    }
+    return {
+        idBytes: id.bytes,
+        unitCode: unitCode
+    };
+};
+
+Blinds2.prototype._timeoutHandler = function (buffer, seqnbr) {
+    return false;
+};
+
+Blinds2.prototype._sendCommand = function (deviceId, command, percent, angle, callback) {
+    var self = this,
+        device = self._splitDeviceId(deviceId),
+        seqnbr = self.rfxcom.getSequenceNumber(),
+        buffer = [0x0c, defines.BLINDS2, self.subtype, seqnbr,
+                  device.idBytes[0], device.idBytes[1], device.idBytes[2], device.idBytes[3],
+                  device.unitCode, command, percent, angle, 0];
+
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
+};
+
+function checkPercent(percent) {
+    if (typeof percent !== "number" || percent < 0 || percent > 100) {
+        throw new Error("Invalid percentage " + percent + ": value must be in range 0-100");
+    }
+    return Math.round(percent);
+}
+
+function checkAngle(angle) {
+    if (typeof angle !== "number" || angle < 0 || angle > 180) {
+        throw new Error("Invalid angle " + angle + ": value must be in range 0-180");
+    }
+    return Math.round(angle);
+}
+
+/*
+ * Open the blind fully
+ */
+Blinds2.prototype.open = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.Blinds2Commands.open, 0, 0, callback);
+};
+
+/*
+ * Close the blind fully
+ */
+Blinds2.prototype.close = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.Blinds2Commands.close, 0, 0, callback);
+};
+
+/*
+ * Stop the blind moving
+ */
+Blinds2.prototype.stop = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.Blinds2Commands.stop, 0, 0, callback);
+};
+
+/*
+ * Pair the motor with deviceId (the motor must be in pairing mode)
+ */
+Blinds2.prototype.pair = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.Blinds2Commands.pair, 0, 0, callback);
+};
+
+/*
+ * Move the blind to the given position: percent is how far closed it is (0 - 100)
+ */
+Blinds2.prototype.setPosition = function (deviceId, percent, callback) {
+    return this._sendCommand(deviceId, defines.Blinds2Commands.setPercent, checkPercent(percent), 0, callback);
+};
+
+/*
+ * Set the angle of the slats (0 - 180 degrees). If a percent (0 - 100) is also supplied, the blind is moved to
+ * that position as well
+ */
+Blinds2.prototype.setAngle = function (deviceId, angle, percent, callback) {
+    if (callback === undefined && typeof percent === "function") {
+        callback = percent;
+        percent = undefined;
+    }
+    if (percent === undefined) {
+        return this._sendCommand(deviceId, defines.Blinds2Commands.setAngle, 0, checkAngle(angle), callback);
+    } else {
+        return this._sendCommand(deviceId, defines.Blinds2Commands.setPercentAngle, checkPercent(percent),
+            checkAngle(angle), callback);
+    }
+};
@@ -0,0 +1,142 @@
+module.exports = Camera1;
+/*jshint -W104 */
+const defines = require('./defines'),
+    index = require('./index'),
+    util = require('util');
+
+/*
+ * This is a class for controlling X10 Ninja pan & tilt camera mounts. Each mount is addressed by its X10
+ * house code (A - P), as for Lighting1 devices but without a unit code
+ */
+function Camera1(rfxcom, subtype) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.subtype = subtype;
+
+    if (typeof self.subtype === "undefined") {
+        throw new Error("Must provide a subtype.");
+    }
+}
+
+/*
+    Returns true if the subtype matches the supplied subtypeName
+ */
+Camera1.prototype.isSubtype = function (subtypeName) {
+    return index.camera1[subtypeName] === this.subtype;
+};
+
+/*
+ * Returns the house code of the device id (handle a 1-element array as well)
+ */
+Camera1.prototype._splitDeviceId = function (deviceId) {
+    var parts, houseCode;
+    if (util.isArray(deviceId)) {
+        parts = deviceId;
+    } else {
+        parts = [deviceId];
+    }
+    if (parts.length !== 1 || String(parts[0]).length !== 1) {
+        throw new Error("Invalid deviceId format");
+    }
+    houseCode = parts[0].toUpperCase().charCodeAt(0);
+    if (houseCode < 0x41 || houseCode > 0x50) {
+        throw new Error("Invalid house code '" + parts[0] + "'");
+    }
+    return {
+        houseCode: houseCode
+    };
+};
+
+Camera1.prototype._timeoutHandler = function (buffer, seqnbr) {
+    return false;
+};
+
+Camera1.prototype._sendCommand = function (deviceId, command, callback) {
+    var self = this,
+        device = self._splitDeviceId(deviceId),
+        seqnbr = self.rfxcom.getSequenceNumber(),
+        buffer = [0x06, defines.CAMERA1, self.subtype, seqnbr, device.houseCode, command, 0];
+
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
+};
+
+/*
+ * Returns the offset of the given preset position (1 - 4) from the position 1 commands
+ */
+Camera1.prototype._positionOffset = function (position) {
+    if (position !== 1 && position !== 2 && position !== 3 && position !== 4) {
+        throw new Error("Invalid position " + position);
+    }
+    return 2*(position - 1);
+};
+
+/*
+ * Pan left
+ */
+Camera1.prototype.left = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_LEFT, callback);
+};
+
+/*
+ * Pan right
+ */
+Camera1.prototype.right = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_RIGHT, callback);
+};
+
+/*
+ * Tilt up
+ */
+Camera1.prototype.up = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_UP, callback);
+};
+
+/*
+ * Tilt down
+ */
+Camera1.prototype.down = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_DOWN, callback);
+};
+
+/*
+ * Move to the given preset position (1 - 4)
+ */
+Camera1.prototype.goToPosition = function (deviceId, position, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_POSITION1 + this._positionOffset(position), callback);
+};
+
+/*
+ * Store the current position as the given preset position (1 - 4)
+ */
+Camera1.prototype.programPosition = function (deviceId, position, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_PROGRAM_POSITION1 + this._positionOffset(position), callback);
+};
+
+/*
+ * Move to the center position
+ */
+Camera1.prototype.center = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_CENTER, callback);
+};
+
+/*
+ * Store the current position as the center position
+ */
+Camera1.prototype.programCenter = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_PROGRAM_CENTER, callback);
+};
+
+/*
+ * Start sweeping between the programmed sweep limits
+ */
+Camera1.prototype.sweep = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_SWEEP, callback);
+};
+
+/*
+ * Program the sweep
+ */
+Camera1.prototype.programSweep = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.CAMERA_PROGRAM_SWEEP, callback);
+};
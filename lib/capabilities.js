@@ -0,0 +1,119 @@
+/*
+ * What the different RFXtrx variants can transmit, keyed by packet type. The requirements in each entry
+ * (which may be overridden for individual subtypes in its subtypes property) are:
+ *
+ *   receiverTypes      - the receiver type codes (status byte msg1) able to transmit the packet
+ *   firmwareTypes      - the firmware types (as reported in the status) able to transmit the packet
+ *   minFirmwareVersion - the lowest firmware version able to transmit the packet
+ *   supported          - false if no RFXtrx can transmit the packet
+ *
+ * A requirement that is absent is always met. Packet types not in the table (apart from the interface
+ * control commands, which every RFXtrx accepts) need only a 433.92MHz transceiver with transmitting
+ * firmware, as described by the default entry.
+ */
+var table = {
+    default: {
+        receiverTypes: [0x53]
+    },
+    0x00: {
+        receiverTypes: null
+    },
+    // X10 (lighting & the Ninja camera mount) is also transmitted by the 310MHz (US) RFXtrx
+    0x10: {
+        subtypes: {
+            0x00: {receiverTypes: [0x50, 0x53]}
+        }
+    },
+    0x28: {
+        receiverTypes: [0x50, 0x53]
+    },
+    // RFY & ASA need an RFXtrx433E or later, which report firmware versions of 1000 & over
+    0x1A: {
+        minFirmwareVersion: 1000,
+        subtypes: {
+            0x01: {firmwareTypes: ["Ext", "Ext 2"]},
+            0x02: {supported: false}
+        }
+    },
+    // Brel/Dooya percentage blinds need an RFXtrx433E or later, with Ext firmware
+    0x31: {
+        minFirmwareVersion: 1000,
+        firmwareTypes: ["Ext", "Ext 2"]
+    }
+};
+
+/*
+ * Firmware types that cannot transmit anything
+ */
+var receiveOnlyFirmware = ["Type 1 RO"];
+
+/*
+ * Merge the requirements that apply to the given packet type & subtype
+ */
+function requirements(packetType, subtype) {
+    var entry = table[packetType] || {},
+        result = {},
+        copy = function (from) {
+            Object.keys(from).forEach(function (key) {
+                if (key !== "subtypes") {
+                    result[key] = from[key];
+                }
+            });
+        };
+
+    copy(table.default);
+    copy(entry);
+    if (entry.subtypes !== undefined && entry.subtypes[subtype] !== undefined) {
+        copy(entry.subtypes[subtype]);
+    }
+    return result;
+}
+
+function hex(value) {
+    return "0x" + ("0" + value.toString(16).toUpperCase()).slice(-2);
+}
+
+/*
+ * Return null if an RFXtrx with the given status (as emitted in the 'status' event) can transmit the
+ * given packet type & subtype, otherwise a message saying why not. If the status is not known, the
+ * command is assumed to be supported
+ */
+function check(status, packetType, subtype) {
+    var required = requirements(packetType, subtype),
+        reason = null;
+
+    if (status === null || status === undefined) {
+        return null;
+    }
+    if (required.supported === false) {
+        reason = "not supported by any RFXtrx";
+    } else if (packetType !== 0x00 && receiveOnlyFirmware.indexOf(status.firmwareType) >= 0) {
+        reason = "the firmware is receive only";
+    } else if (required.receiverTypes && required.receiverTypes.indexOf(status.receiverTypeCode) < 0) {
+        reason = "not supported by a " + status.receiverType + " receiver";
+    } else if (required.firmwareTypes && required.firmwareTypes.indexOf(status.firmwareType) < 0) {
+        reason = "requires firmware type " + required.firmwareTypes.join(" or ");
+    } else if (required.minFirmwareVersion !== undefined && typeof status.firmwareVersion !== "number") {
+        reason = "requires firmware version " + required.minFirmwareVersion + " or later, version unknown";
+    } else if (required.minFirmwareVersion !== undefined && status.firmwareVersion < required.minFirmwareVersion) {
+        reason = "requires firmware version " + required.minFirmwareVersion + " or later (an RFXtrx433E)";
+    }
+    if (reason !== null) {
+        reason = "Packet type " + hex(packetType) + " subtype " + hex(subtype) + " cannot be transmitted: " +
+            reason + " (firmware " + status.firmwareType + " version " + status.firmwareVersion + ")";
+    }
+    return reason;
+}
+
+/*
+ * Return true if an RFXtrx with the given status can transmit the given packet type & subtype
+ */
+function supports(status, packetType, subtype) {
+    return check(status, packetType, subtype) === null;
+}
+
+module.exports = {
+    table: table,
+    check: check,
+    supports: supports
+};
@@ -84,8 +84,7 @@ Chime1.prototype._sendCommand = function (deviceId, command, callback) {
     buffer = [0x07, defines.CHIME1, self.subtype, seqnbr,
         device.idBytes[0], device.idBytes[1], device.idBytes[2], 0];
 
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 Chime1.prototype.chime = function(deviceId, tone, callback) {
@@ -0,0 +1,1369 @@
+/*jshint -W104 */
+const rfxcom = require("./index"),
+    defines = require("./defines");
+
+/*
+ * Pure functions to convert between RFXtrx packets (arrays of bytes, starting with the length byte) and
+ * objects, with no dependence on RfxCom or a serial port:
+ *
+ *   decode(bytes)  - returns an object holding the packet fields. Its type property is the name of the event
+ *                    RfxCom emits when it receives the packet (e.g. "lighting2", "temp1", "status"), and its
+ *                    packetType property is the packet type byte. The other properties are the same as those
+ *                    of the event object
+ *   encode(object) - the reverse of decode(). The object must have packetType & subtype properties, any
+ *                    missing field is encoded as zero
+ *
+ * Both are driven by the schema table below, which describes the layout of each packet type once. Some fields
+ * are not decoded (e.g. the unused bits of some ids), so decoding then encoding a packet does not always
+ * reproduce it exactly.
+ */
+
+// Helper functions
+
+// The two hex digits of each byte value
+var hexDigits = [];
+for (var byteValue = 0; byteValue < 256; byteValue++) {
+    hexDigits.push((byteValue < 16 ? "0" : "") + byteValue.toString(16).toUpperCase());
+}
+
+function hex(bytes) {
+    var str = "0x", index;
+    for (index = 0; index < bytes.length; index++) {
+        str += hexDigits[bytes[index]];
+    }
+    return str;
+}
+
+function uintToBytes(value, byteCount) {
+    var bytes = [];
+    value = Math.round(value || 0);
+    while (bytes.length < byteCount) {
+        bytes.unshift(value % 256);
+        value = Math.floor(value/256);
+    }
+    return bytes;
+}
+
+function bytesToUint(bytes) {
+    return bytes.reduce(function (value, byte) {
+        return 256*value + byte;
+    }, 0);
+}
+
+function hexToBytes(str, byteCount) {
+    return uintToBytes(parseInt(str || "0", 16), byteCount);
+}
+
+// Lookup tables
+
+var receiverTypes = {
+        0x50: "310MHz",
+        0x51: "315MHz",
+        0x52: "433.92MHz receiver only",
+        0x53: "433.92MHz transceiver",
+        0x55: "868.00MHz",
+        0x56: "868.00MHz FSK",
+        0x57: "868.30MHz",
+        0x58: "868.30MHz FSK",
+        0x59: "868.35MHz",
+        0x5A: "868.35MHz FSK",
+        0x5B: "868.95MHz"
+    },
+    firmwareTypes = ["Type 1 RO", "Type 1", "Type 2", "Ext", "Ext 2"],
+    responses = {
+        0: "ACK - transmit OK",
+        1: "ACK - transmit delayed",
+        2: "NAK - transmitter did not lock onto frequency",
+        3: "NAK - AC address not allowed"
+    },
+    lighting1Commands = {
+        0: "Off",
+        1: "On",
+        2: "Dim",
+        3: "Bright",
+        5: "All Off",
+        6: "All On",
+        7: "Chime"
+    },
+    lighting2Commands = {
+        0: "Off",
+        1: "On",
+        2: "Set Level",
+        3: "Group Off",
+        4: "Group On",
+        5: "Set Group Level"
+    },
+    lighting3Commands = {
+        0x00: "Bright",
+        0x08: "Dim",
+        0x10: "On",
+        0x11: "Level 1",
+        0x12: "Level 2",
+        0x13: "Level 3",
+        0x14: "Level 4",
+        0x15: "Level 5",
+        0x16: "Level 6",
+        0x17: "Level 7",
+        0x18: "Level 8",
+        0x19: "Level 9",
+        0x1A: "Off",
+        0x1C: "Program"
+    },
+    lighting5Commands = {
+        0: "Off",
+        1: "On",
+        2: "Group Off",
+        3: "Mood1",
+        4: "Mood2",
+        5: "Mood3",
+        6: "Mood4",
+        7: "Mood5",
+        10: "Unlock Socket",
+        11: "Lock Socket",
+        12: "All Lock",
+        13: "Close",
+        14: "Stop",
+        15: "Open",
+        16: "Set Level"
+    },
+    lighting6Commands = {
+        0: "On",
+        1: "Off",
+        2: "Group On",
+        3: "Group Off"
+    },
+    chime1Commands = {
+        1: "Tubular 3 notes",
+        13: "Tubular 3 notes",
+        3: "Big Ben",
+        14: "Big Ben",
+        5: "Tubular 2 notes",
+        6: "Tubular 2 notes",
+        9: "Solo",
+        2: "Solo"
+    },
+    siemensFanCommands = {
+        1: "Timer",
+        2: "Speed Down",
+        3: "Learn",
+        4: "Speed Up",
+        5: "Confirm",
+        6: "Light"
+    },
+    lucciFanCommands = {
+        1: "High",
+        2: "Medium",
+        3: "Low",
+        4: "Off",
+        5: "Light"
+    },
+    curtain1Commands = {
+        0: "Open",
+        1: "Close",
+        2: "Stop",
+        3: "Program"
+    },
+    camera1Commands = {
+        0x00: "Left",
+        0x01: "Right",
+        0x02: "Up",
+        0x03: "Down",
+        0x04: "Position 1",
+        0x05: "Program Position 1",
+        0x06: "Position 2",
+        0x07: "Program Position 2",
+        0x08: "Position 3",
+        0x09: "Program Position 3",
+        0x0A: "Position 4",
+        0x0B: "Program Position 4",
+        0x0C: "Center",
+        0x0D: "Program Center",
+        0x0E: "Sweep",
+        0x0F: "Program Sweep"
+    },
+    blinds1Commands = {
+        0:  "Open",
+        1:  "Close",
+        2:  "Stop",
+        3:  "Confirm",
+        4:  "Set limit",
+        5:  "Set lower limit",
+        6:  "Reverse",
+        7:  "Delete limits",
+        8:  "Left",
+        9:  "Right"
+    },
+    blinds1T4Commands = {
+        0:  "Open",
+        1:  "Close",
+        2:  "Stop",
+        3:  "Confirm",
+        4:  "Set limit",
+        5:  "Set lower limit",
+        6:  "Delete limits",
+        7:  "Reverse",
+        8:  "Left",
+        9:  "Right"
+    },
+    thermostat1Statuses = {
+        0: "No Status",
+        1: "Demand",
+        2: "No Demand",
+        3: "Initializing"
+    },
+    thermostat1Modes = {
+        0: "Heating",
+        1: "Cooling"
+    },
+    thermostat2Commands = {
+        0: "Off",
+        1: "On",
+        2: "Program"
+    },
+    thermostat3Commands = {
+        0: "Off",
+        1: "On",
+        2: "Up",
+        3: "Down",
+        4: "Run Up",
+        5: "Run Down",
+        6: "Stop"
+    },
+    // The Mertik G6R-H4TB has a second on/off instead of run up/down
+    thermostat3H4TBCommands = {
+        0: "Off",
+        1: "On",
+        2: "Up",
+        3: "Down",
+        4: "2nd Off",
+        5: "2nd On",
+        6: "Stop"
+    },
+    blinds2Commands = {
+        0: "Open",
+        1: "Close",
+        2: "Stop",
+        3: "Pair",
+        4: "Set Percent",
+        5: "Set Angle",
+        6: "Set Percent & Angle"
+    },
+    remoteTypes = {
+        0: "ATI Remote Wonder",
+        1: "ATI Remote Wonder Plus",
+        2: "Medion",
+        3: "PC Remote"
+    },
+    // Key names by key code. The Remote Wonder Plus has the same keys as the Remote Wonder, and the Medion
+    // remote differs only in a few
+    atiRemoteKeys = {
+        0x00: "A",
+        0x01: "B",
+        0x02: "Power",
+        0x03: "TV",
+        0x04: "DVD",
+        0x05: "?",
+        0x06: "Guide",
+        0x07: "Drag",
+        0x08: "Volume Up",
+        0x09: "Volume Down",
+        0x0A: "Mute",
+        0x0B: "Channel Up",
+        0x0C: "Channel Down",
+        0x0D: "1",
+        0x0E: "2",
+        0x0F: "3",
+        0x10: "4",
+        0x11: "5",
+        0x12: "6",
+        0x13: "7",
+        0x14: "8",
+        0x15: "9",
+        0x16: "Text",
+        0x17: "0",
+        0x18: "Snapshot",
+        0x19: "C",
+        0x1A: "Up",
+        0x1B: "D",
+        0x1C: "TV/Radio",
+        0x1D: "Left",
+        0x1E: "OK",
+        0x1F: "Right",
+        0x20: "Back",
+        0x21: "E",
+        0x22: "Down",
+        0x23: "F",
+        0x24: "Rewind",
+        0x25: "Play",
+        0x26: "Fast Forward",
+        0x27: "Record",
+        0x28: "Stop",
+        0x29: "Pause",
+        0x2C: "TV",
+        0x2D: "VCR",
+        0x2E: "Radio",
+        0x2F: "TV Preview",
+        0x30: "Channel List",
+        0x31: "Video Desktop",
+        0x32: "Red",
+        0x33: "Green",
+        0x34: "Yellow",
+        0x35: "Blue",
+        0x36: "Rename Tab",
+        0x37: "Acquire Image",
+        0x38: "Edit Image",
+        0x39: "Full Screen",
+        0x3A: "DVD Audio",
+        0x70: "Cursor Left",
+        0x71: "Cursor Right",
+        0x72: "Cursor Up",
+        0x73: "Cursor Down",
+        0x74: "Cursor Up Left",
+        0x75: "Cursor Up Right",
+        0x76: "Cursor Down Right",
+        0x77: "Cursor Down Left",
+        0x78: "Left Mouse",
+        0x79: "Left Mouse End",
+        0x7C: "Right Mouse",
+        0x7D: "Right Mouse End"
+    },
+    medionRemoteKeys = Object.assign({}, atiRemoteKeys, {
+        0x00: "Mute",
+        0x05: "Photo",
+        0x06: "Music",
+        0x2C: "Teletext",
+        0x2D: "Video",
+        0x2E: "Radio"
+    }),
+    pcRemoteKeys = {
+        0x02: "0",
+        0x82: "1",
+        0x42: "2",
+        0xC2: "3",
+        0x22: "4",
+        0xA2: "5",
+        0x62: "6",
+        0xE2: "7",
+        0x12: "8",
+        0x92: "9",
+        0x52: "Enter",
+        0x3A: "Mute",
+        0x6A: "Volume Up",
+        0xEA: "Volume Down",
+        0x40: "Channel Up",
+        0xC0: "Channel Down",
+        0xB0: "Play",
+        0x70: "Stop",
+        0x38: "Rewind",
+        0xB8: "Fast Forward",
+        0x72: "Pause",
+        0xFF: "Record"
+    };
+
+/*
+ * Field formats. Each decodes a field by reading directly from the packet data (an array of bytes or a
+ * Buffer, which is not copied) at the given offset, and encodes a field value to an array of bytes. The
+ * uint format is the default, and handles the signed, mask, shift, scale, multiplier & enum field properties
+ * (see the schema, below). Returning undefined from encode leaves the field unwritten
+ */
+
+// The byte at the given index of a field, masked by the field's per-byte mask (if any)
+function fieldByte(data, offset, index, field) {
+    return (field.mask instanceof Array) ? data[offset + index] & field.mask[index] : data[offset + index];
+}
+
+// Read a big-endian unsigned integer field, in the manner of Buffer.readUIntBE()
+function readUint(data, offset, field) {
+    var width = field.width || 1,
+        value = 0, index;
+    for (index = 0; index < width; index++) {
+        value = 256*value + fieldByte(data, offset, index, field);
+    }
+    return value;
+}
+
+var formats = {
+    uint: {
+        decode: function (data, offset, field) {
+            var raw = readUint(data, offset, field),
+                negative = false;
+            if (field.signed) {
+                negative = (data[offset] & 0x80) !== 0;
+                raw = raw % Math.pow(2, 8*(field.width || 1) - 1);
+            }
+            if (typeof field.mask === "number") {
+                raw = (raw & field.mask) >> (field.shift || 0);
+            }
+            if (field.enum) {
+                return field.enum.hasOwnProperty(raw) ? field.enum[raw] : field.unknown;
+            }
+            raw = raw/(field.scale || 1)*(field.multiplier || 1);
+            return negative ? -raw : raw;
+        },
+        encode: function (value, field) {
+            var raw = null, bytes, key;
+            if (field.enum) {
+                for (key in field.enum) {
+                    if (raw === null && field.enum.hasOwnProperty(key) && field.enum[key] === value) {
+                        raw = parseInt(key, 10);
+                    }
+                }
+                if (raw === null) {
+                    return undefined;
+                }
+            } else {
+                raw = Math.round(Math.abs(value)*(field.scale || 1)/(field.multiplier || 1));
+            }
+            if (typeof field.mask === "number") {
+                raw = raw << (field.shift || 0);
+            }
+            bytes = uintToBytes(raw, field.width || 1);
+            if (field.signed && value < 0) {
+                bytes[0] |= 0x80;
+            }
+            return bytes;
+        }
+    },
+    // A hexadecimal string, e.g. "0x1A2B"
+    hex: {
+        decode: function (data, offset, field) {
+            var width = field.width || 1,
+                str = "0x", index;
+            for (index = 0; index < width; index++) {
+                str += hexDigits[fieldByte(data, offset, index, field)];
+            }
+            return str;
+        },
+        encode: function (value, field) {
+            return hexToBytes(value, field.width || 1);
+        }
+    },
+    // A single upper case character, e.g. a housecode
+    char: {
+        decode: function (data, offset) {
+            return String.fromCharCode(data[offset]).toUpperCase();
+        },
+        encode: function (value) {
+            return [String(value).charCodeAt(0)];
+        }
+    },
+    // The masked bits, which are non-zero if the flag is set
+    flag: {
+        decode: function (data, offset, field) {
+            return data[offset] & field.mask;
+        },
+        encode: function (value, field) {
+            return [value ? field.mask : 0];
+        }
+    },
+    // An array of the raw bytes
+    bytes: {
+        decode: function (data, offset, field) {
+            return Array.prototype.slice.call(data, offset, offset + (field.width || 1));
+        },
+        encode: function (value) {
+            return value;
+        }
+    }
+};
+
+// The battery level & signal strength nibbles shared by most sensor packets
+function battery(offset) {
+    return {name: "batteryLevel", offset: offset, mask: 0x0f};
+}
+
+function rssi(offset) {
+    return {name: "rssi", offset: offset, mask: 0xf0, shift: 4};
+}
+
+// A field present only in packets of the given subtypes
+function subtypes() {
+    var list = Array.prototype.slice.call(arguments);
+    return function (evt) {
+        return list.indexOf(evt.subtype) !== -1;
+    };
+}
+
+function invert(table) {
+    var inverted = {};
+    Object.keys(table).forEach(function (key) {
+        inverted[table[key]] = key;
+    });
+    return inverted;
+}
+
+/*
+ * The packet types, indexed by packet type byte. Each has the event name (or a function of the subtype
+ * returning it), the length of the packet data (the bytes following the packet type), and the fields of the
+ * packet data. The subtype (offset 0) & seqnbr (offset 1) fields are common to every packet type, and are not
+ * listed. A field has the properties:
+ *
+ *   name       - the event object property
+ *   offset     - the offset of its first byte in the packet data. Fields without an offset have a constant
+ *                value, and are not encoded
+ *   width      - the number of bytes (default 1). These are big-endian
+ *   count      - if present, the value is an array of count fields, each width bytes, at consecutive offsets
+ *   format     - "uint" (the default), "hex", "char", "flag", "bytes", or an object with
+ *                decode(data, offset, field) & encode(value, field) functions
+ *   mask       - a number: the bits of the field value holding the field; or an array: a mask for each byte
+ *   shift      - the number of bits to shift the masked value right
+ *   signed     - true if the top bit of the first byte is a sign bit (sign & magnitude)
+ *   scale      - the raw value is divided by this to give the field value
+ *   multiplier - the raw value is multiplied by this to give the field value
+ *   enum       - an object mapping raw values to names. The field value is the name...
+ *   unknown    - ...or this, if the raw value has no name
+ *   value      - the constant value of a field with no offset
+ *   when       - a function of the (partly decoded) event object, returning true if the field is present
+ *
+ * When encoding, fields with no value in the object to encode are left as zero, and bits already written by
+ * an earlier field are not overwritten (so a commandNumber field takes precedence over a following command
+ * enum field with the same offset). Packet types whose layout is not fixed (status, undecoded) have their own
+ * decode & encode functions instead of fields
+ */
+var packetTypes = {
+    0x00: {
+        name: "interfaceCommand",
+        length: 12,
+        fields: [
+            {name: "cmnd", offset: 2},
+            {name: "msg", offset: 3, width: 9, format: "bytes"}
+        ]
+    },
+
+    0x01: {
+        name: "status",
+        decode: function (data) {
+            var subtype = data[0],
+                evt = {
+                    subtype: subtype,
+                    seqnbr:  data[1],
+                    cmnd:    data[2]
+                },
+                msg, firmwareType, protocols;
+
+            if (subtype === 0x00) {
+                // Firmware version decoding supplied by Bert Weijenberg
+                if (data.length > 12) {
+                    msg = data.slice(2, 19);
+                    evt.firmwareVersion = msg[2] + 1000;
+                    firmwareType = msg[10];
+                } else {
+                    msg = data.slice(2, 12);
+                    evt.firmwareVersion = msg[2];
+                    if (msg[1] === 0x52 && evt.firmwareVersion < 162) {
+                        firmwareType = 0;
+                    } else if (msg[1] === 0x53 && evt.firmwareVersion < 162) {
+                        firmwareType = 1;
+                    } else if (msg[1] === 0x53 && evt.firmwareVersion >= 162 && evt.firmwareVersion < 225) {
+                        firmwareType = 2;
+                    } else {
+                        firmwareType = 3;
+                    }
+                }
+                // Check which protocols are enabled
+                protocols = [];
+                for (var key in rfxcom.protocols) {
+                    if (rfxcom.protocols.hasOwnProperty(key)) {
+                        var value = rfxcom.protocols[key];
+                        if (msg[value.msg] & value.bit) {
+                            protocols.push(key);
+                        }
+                    }
+                }
+                evt.receiverTypeCode = msg[1];
+                evt.receiverType = receiverTypes[msg[1]];
+                evt.hardwareVersion = msg[7] + "." + msg[8];
+                evt.firmwareType = firmwareTypes[firmwareType];
+                evt.enabledProtocols = protocols;
+            } else if (subtype === 0x07) {         // Start receiver response
+                evt.copyright = String.fromCharCode.apply(String, data.slice(3, 19));
+            } else if (subtype === 0x03 || subtype === 0x04) {  // RFY/ASA list remotes response
+                evt.remoteNumber = data[3];
+                evt.remoteType = subtype === 0x03 ? "RFY" : "ASA";
+                evt.deviceId = hex(data.slice(4, 7)) + "/" + data[7];
+                evt.idBytes = [data[4], data[5], data[6]];
+                evt.unitCode = data[7];
+            }
+            return evt;
+        },
+        encode: function (evt) {
+            var data = [evt.subtype, evt.seqnbr, evt.cmnd || 0],
+                receiverType = 0x53, hardwareVersion, protocolBytes, key;
+
+            if (evt.subtype === 0x00) {
+                for (key in receiverTypes) {
+                    if (receiverTypes.hasOwnProperty(key) && receiverTypes[key] === evt.receiverType) {
+                        receiverType = parseInt(key, 10);
+                    }
+                }
+                if (typeof evt.receiverTypeCode === "number") {
+                    receiverType = evt.receiverTypeCode;
+                }
+                hardwareVersion = String(evt.hardwareVersion || "0.0").split(".");
+                protocolBytes = [0, 0, 0, 0, 0, 0, 0];
+                (evt.enabledProtocols || []).forEach(function (name) {
+                    var protocol = rfxcom.protocols[name];
+                    protocolBytes[protocol.msg] |= protocol.bit;
+                });
+                data.push(receiverType, (evt.firmwareVersion || 0) % 1000);
+                data = data.concat(protocolBytes.slice(3, 7),
+                    [parseInt(hardwareVersion[0], 10), parseInt(hardwareVersion[1], 10), 0]);
+                if (evt.firmwareVersion >= 1000) {
+                    data = data.concat([Math.max(firmwareTypes.indexOf(evt.firmwareType), 0), 0, 0, 0, 0, 0, 0]);
+                }
+            } else if (evt.subtype === 0x07) {
+                data = data.concat(Array.prototype.map.call(evt.copyright || "", function (c) {
+                    return c.charCodeAt(0);
+                }));
+            } else if (evt.subtype === 0x03 || evt.subtype === 0x04) {
+                data = data.concat([evt.remoteNumber || 0], evt.idBytes || [0, 0, 0], [evt.unitCode || 0],
+                    [0, 0, 0, 0]);
+            }
+            return data;
+        }
+    },
+
+    0x02: {
+        name: "response",
+        length: 3,
+        fields: [
+            {name: "responseCode", offset: 2},
+            {name: "message", offset: 2, enum: responses}
+        ]
+    },
+
+    0x03: {
+        name: "undecoded",
+        decode: function (data) {
+            return {
+                subtype:  data[0],
+                seqnbr:   data[1],
+                protocol: rfxcom.undecoded[data[0]] || "Unknown",
+                payload:  Array.prototype.slice.call(data, 2)
+            };
+        },
+        encode: function (evt) {
+            return [evt.subtype, evt.seqnbr].concat(evt.payload || []);
+        }
+    },
+
+    0x10: {
+        name: "lighting1",
+        length: 6,
+        fields: [
+            {name: "housecode", offset: 2, format: "char"},
+            {name: "unitcode", offset: 3},
+            {name: "id", offset: 2, width: 2, format: "hex"}, // Redundant?
+            {name: "commandNumber", offset: 4},
+            {name: "command", offset: 4, enum: lighting1Commands, unknown: "Unknown"},
+            rssi(5)
+        ]
+    },
+
+    0x11: {
+        name: "lighting2",
+        length: 10,
+        fields: [
+            {name: "id", offset: 2, width: 4, format: "hex", mask: [0x03, 0xff, 0xff, 0xff]}, // "id1 : 2"
+            {name: "unitcode", offset: 6},
+            {name: "commandNumber", offset: 7},
+            {name: "command", offset: 7, enum: lighting2Commands, unknown: "Unknown"},
+            {name: "level", offset: 8},
+            rssi(9)
+        ]
+    },
+
+    0x12: {
+        name: "lighting3",
+        length: 7,
+        fields: [
+            {name: "system", offset: 2, format: {
+                decode: function (data, offset) {
+                    return data[offset] + 1;
+                },
+                encode: function (value) {
+                    return [value - 1];
+                }
+            }},
+            // Channels 1-8 are bits 0-7 of the first byte, channels 9 & 10 bits 0 & 1 of the second
+            {name: "channels", offset: 3, width: 2, format: {
+                decode: function (data, offset) {
+                    var channels = [], bit;
+                    for (bit = 0; bit < 10; bit++) {
+                        if ((data[offset + (bit >> 3)] >> (bit & 0x07)) & 0x01) {
+                            channels.push(bit + 1);
+                        }
+                    }
+                    return channels;
+                },
+                encode: function (value) {
+                    var bytes = [0, 0];
+                    value.forEach(function (channel) {
+                        bytes[channel > 8 ? 1 : 0] |= 1 << ((channel - 1) % 8);
+                    });
+                    return bytes;
+                }
+            }},
+            {name: "commandNumber", offset: 5},
+            {name: "command", offset: 5, enum: lighting3Commands, unknown: "Unknown"},
+            rssi(6)
+        ]
+    },
+
+    0x13: {
+        name: "lighting4",
+        length: 8,
+        fields: [
+            {name: "data", offset: 2, width: 3, format: "hex"},
+            {name: "commandNumber", value: 0},
+            {name: "command", value: "Data"},
+            {name: "pulseWidth", offset: 5, width: 2},
+            rssi(7)
+        ]
+    },
+
+    0x14: {
+        name: "lighting5",
+        length: 9,
+        fields: [
+            {name: "id", offset: 2, width: 3, format: "hex"},
+            {name: "unitcode", offset: 5},
+            {name: "commandNumber", offset: 6},
+            {name: "command", offset: 6, enum: lighting5Commands, unknown: "Unknown"},
+            {name: "level", offset: 7},
+            rssi(8)
+        ]
+    },
+
+    0x15: {
+        name: "lighting6",
+        length: 10,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "groupcode", offset: 4, format: "char"},
+            {name: "unitcode", offset: 5},
+            {name: "commandNumber", offset: 6},
+            {name: "command", offset: 6, enum: lighting6Commands, unknown: "Unknown"},
+            rssi(9)
+        ]
+    },
+
+    0x16: {
+        name: "chime1",
+        length: 6,
+        fields: [
+            {name: "id", offset: 3, format: "hex", when: subtypes(0x00)},
+            {name: "commandNumber", offset: 4, when: subtypes(0x00)},
+            {name: "command", offset: 4, enum: chime1Commands, when: subtypes(0x00)},
+            // Each of the 6 id switches is encoded by a pair of bits, the upper bit of which is clear if on
+            {name: "id", offset: 2, width: 2, when: subtypes(0x01), format: {
+                decode: function (data, offset) {
+                    var high = data[offset], low = data[offset + 1];
+                    return (high & 0x40 ? "0" : "1") + (high & 0x10 ? "0" : "1") +
+                           (high & 0x04 ? "0" : "1") + (high & 0x01 ? "0" : "1") +
+                           (low & 0x40 ? "0" : "1") + (low & 0x10 ? "0" : "1");
+                },
+                encode: function (value) {
+                    var id = String(value);
+                    return [(id[0] === "0" ? 0x40 : 0) | (id[1] === "0" ? 0x10 : 0) |
+                            (id[2] === "0" ? 0x04 : 0) | (id[3] === "0" ? 0x01 : 0),
+                            (id[4] === "0" ? 0x40 : 0) | (id[5] === "0" ? 0x10 : 0)];
+                }
+            }},
+            {name: "id", offset: 2, width: 3, format: "hex", when: function (evt) {
+                return evt.subtype > 0x01;
+            }},
+            rssi(5)
+        ]
+    },
+
+    0x17: {
+        name: "fan1",
+        length: 7,
+        fields: [
+            {name: "id", offset: 2, width: 3, format: "hex"},
+            {name: "commandNumber", offset: 5},
+            {name: "command", offset: 5, enum: siemensFanCommands, unknown: "Unknown", when: subtypes(0x00)},
+            {name: "command", offset: 5, enum: lucciFanCommands, unknown: "Unknown", when: subtypes(0x02)},
+            rssi(6)
+        ]
+    },
+
+    0x18: {
+        name: "curtain1",
+        length: 6,
+        fields: [
+            {name: "housecode", offset: 2, format: "char"},
+            {name: "unitcode", offset: 3},
+            // In the format taken by the Curtain1 transmitter methods, e.g. "0x41/01"
+            {name: "deviceId", offset: 2, width: 2, format: {
+                decode: function (data, offset) {
+                    return "0x" + hexDigits[data[offset]] + "/" + hexDigits[data[offset + 1]];
+                },
+                encode: function (value) {
+                    var parts = String(value).split("/");
+                    return [parseInt(parts[0], 16) & 0xff, parseInt(parts[1], 16) & 0xff];
+                }
+            }},
+            {name: "commandNumber", offset: 4},
+            {name: "command", offset: 4, enum: curtain1Commands, unknown: "Unknown"},
+            rssi(5)
+        ]
+    },
+
+    0x19: {
+        name: "blinds1",
+        length: 8,
+        fields: [
+            {name: "id", offset: 3, width: 2, format: "hex", when: subtypes(0x00, 0x01)},
+            {name: "id", offset: 2, width: 3, format: "hex", when: function (evt) {
+                return evt.subtype > 0x01;
+            }},
+            {name: "unitcode", offset: 5, when: subtypes(0x00, 0x01)},
+            // Unit 0 (all units) is sent as 15, the others as one less than the unit number
+            {name: "unitcode", offset: 5, when: subtypes(0x03), format: {
+                decode: function (data, offset) {
+                    return data[offset] === 15 ? 0 : data[offset] + 1;
+                },
+                encode: function (value) {
+                    return [value === 0 ? 15 : value - 1];
+                }
+            }},
+            {name: "unitcode", value: 1, when: function (evt) {
+                return evt.subtype === 0x02 || evt.subtype > 0x03;
+            }},
+            {name: "commandNumber", offset: 6},
+            {name: "command", offset: 6, enum: blinds1Commands, unknown: "Unknown", when: function (evt) {
+                return evt.subtype !== 0x04;
+            }},
+            // The T4 reverse & delete limits commands are the other way round
+            {name: "command", offset: 6, enum: blinds1T4Commands, unknown: "Unknown", when: subtypes(0x04)},
+            rssi(7)
+        ]
+    },
+
+    0x1A: {
+        name: "rfy",
+        length: 11,
+        fields: [
+            {name: "id", offset: 2, width: 3, format: "hex"},
+            {name: "unitcode", offset: 5},
+            {name: "commandNumber", offset: 6},
+            {name: "command", offset: 6, enum: invert(defines.RfyCommands), unknown: "Unknown"}
+        ]
+    },
+
+    0x20: {
+        name: "security1",
+        length: 7,
+        fields: [
+            {name: "id", offset: 2, width: 3, format: "hex"},
+            {name: "deviceStatus", offset: 5, mask: 0x7f},
+            {name: "tampered", offset: 5, mask: 0x80, format: "flag"},
+            battery(6),
+            rssi(6)
+        ]
+    },
+
+    // The KeeLoq code: a 32-bit encrypted (hopping) part, which changes with every press, followed by the
+    // 28-bit transmitter serial number, the button bits & the status bits. The rest of the data is unused
+    0x21: {
+        name: "security2",
+        length: 27,
+        fields: [
+            {name: "code", offset: 2, width: 4, format: "hex"},
+            {name: "id", offset: 6, width: 4, mask: [0x0f, 0xff, 0xff, 0xff], format: "hex"},
+            {name: "buttons", offset: 10, mask: 0x0f},
+            {name: "batteryLow", offset: 10, mask: 0x10, format: "flag"},
+            {name: "repeat", offset: 10, mask: 0x20, format: "flag"},
+            battery(26),
+            rssi(26)
+        ]
+    },
+
+    0x28: {
+        name: "camera1",
+        length: 5,
+        fields: [
+            {name: "housecode", offset: 2, format: "char"},
+            {name: "commandNumber", offset: 3},
+            {name: "command", offset: 3, enum: camera1Commands, unknown: "Unknown"},
+            rssi(4)
+        ]
+    },
+
+    0x30: {
+        name: "remote",
+        length: 5,
+        fields: [
+            {name: "remoteType", offset: 0, enum: remoteTypes, unknown: "Unknown"},
+            {name: "id", offset: 2},
+            {name: "keyCode", offset: 3},
+            {name: "key", offset: 3, enum: atiRemoteKeys, unknown: "Unknown", when: subtypes(0x00, 0x01)},
+            {name: "key", offset: 3, enum: medionRemoteKeys, unknown: "Unknown", when: subtypes(0x02)},
+            {name: "key", offset: 3, enum: pcRemoteKeys, unknown: "Unknown", when: subtypes(0x03)},
+            rssi(4)
+        ]
+    },
+
+    0x31: {
+        name: "blinds2",
+        length: 11,
+        fields: [
+            {name: "id", offset: 2, width: 4, format: "hex"},
+            {name: "unitCode", offset: 6},
+            {name: "commandNumber", offset: 7},
+            {name: "command", offset: 7, enum: blinds2Commands, unknown: "Unknown"},
+            {name: "percent", offset: 8},
+            {name: "angle", offset: 9},
+            battery(10),
+            rssi(10)
+        ]
+    },
+
+    0x40: {
+        name: "thermostat1",
+        length: 8,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "temperature", offset: 4},
+            // The short format (subtype 1) has no set point
+            {name: "setpoint", offset: 5, when: subtypes(0x00)},
+            {name: "statusNumber", offset: 6, mask: 0x03},
+            {name: "status", offset: 6, mask: 0x03, enum: thermostat1Statuses},
+            {name: "mode", offset: 6, mask: 0x80, shift: 7, enum: thermostat1Modes},
+            rssi(7)
+        ]
+    },
+
+    0x41: {
+        name: "thermostat2",
+        length: 5,
+        fields: [
+            {name: "unitcode", offset: 2},
+            {name: "commandNumber", offset: 3},
+            {name: "command", offset: 3, enum: thermostat2Commands, unknown: "Unknown"},
+            rssi(4)
+        ]
+    },
+
+    0x42: {
+        name: "thermostat3",
+        length: 7,
+        fields: [
+            {name: "id", offset: 2, width: 3, format: "hex"},
+            {name: "commandNumber", offset: 5},
+            {name: "command", offset: 5, enum: thermostat3H4TBCommands, unknown: "Unknown", when: subtypes(0x01)},
+            {name: "command", offset: 5, enum: thermostat3Commands, unknown: "Unknown", when: function (evt) {
+                return evt.subtype !== 0x01;
+            }},
+            rssi(6)
+        ]
+    },
+
+    0x4E: {
+        name: "bbq1",
+        length: 9,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "temperature", offset: 4, width: 2, count: 2},
+            battery(8),
+            rssi(8)
+        ]
+    },
+
+    0x4F: {
+        name: "temprain1",
+        length: 9,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "temperature", offset: 4, width: 2, signed: true, scale: 10},
+            {name: "rainfall", offset: 6, width: 2, scale: 10},
+            battery(8),
+            rssi(8)
+        ]
+    },
+
+    0x50: {
+        name: function (subtype) {
+            return "temp" + subtype;
+        },
+        length: 7,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "temperature", offset: 4, width: 2, signed: true, scale: 10},
+            battery(6),
+            rssi(6)
+        ]
+    },
+
+    0x51: {
+        name: "humidity1",
+        length: 7,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "humidity", offset: 4},
+            {name: "humidityStatus", offset: 5},
+            battery(6),
+            rssi(6)
+        ]
+    },
+
+    0x52: {
+        name: function (subtype) {
+            return "th" + subtype;
+        },
+        length: 9,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "temperature", offset: 4, width: 2, signed: true, scale: 10},
+            {name: "humidity", offset: 6},
+            {name: "humidityStatus", offset: 7},
+            battery(8),
+            rssi(8)
+        ]
+    },
+
+    0x54: {
+        name: function (subtype) {
+            return "thb" + subtype;
+        },
+        length: 12,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "temperature", offset: 4, width: 2, signed: true, scale: 10},
+            {name: "humidity", offset: 6},
+            {name: "humidityStatus", offset: 7},
+            {name: "barometer", offset: 8, width: 2, mask: [0x7f, 0xff]},
+            {name: "forecast", offset: 10},
+            battery(11),
+            rssi(11)
+        ]
+    },
+
+    0x55: {
+        name: function (subtype) {
+            return "rain" + subtype;
+        },
+        length: 10,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "rainfallRate", offset: 4, width: 2, when: subtypes(1)},
+            {name: "rainfallRate", offset: 4, width: 2, scale: 100, when: subtypes(2)},
+            {name: "rainfall", offset: 6, width: 3, scale: 10, when: function (evt) {
+                return evt.subtype !== 6;
+            }},
+            {name: "rainfallIncrement", offset: 8, mask: 0x0f, multiplier: 0.266, when: subtypes(6)},
+            battery(9),
+            rssi(9)
+        ]
+    },
+
+    0x56: {
+        name: function (subtype) {
+            return "wind" + subtype;
+        },
+        length: 15,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "direction", offset: 4, width: 2},
+            {name: "averageSpeed", offset: 6, width: 2, scale: 10, when: function (evt) {
+                return evt.subtype !== 5;
+            }},
+            {name: "gustSpeed", offset: 8, width: 2, scale: 10},
+            {name: "temperature", offset: 10, width: 2, signed: true, scale: 10, when: subtypes(4)},
+            {name: "chillfactor", offset: 12, width: 2, signed: true, scale: 10, when: subtypes(4)},
+            battery(14),
+            rssi(14)
+        ]
+    },
+
+    0x57: {
+        name: function (subtype) {
+            return "uv" + subtype;
+        },
+        length: 8,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "uv", offset: 4, scale: 10},
+            {name: "temperature", offset: 5, width: 2, signed: true, scale: 10},
+            battery(7),
+            rssi(7)
+        ]
+    },
+
+    0x59: {
+        name: "elec1",
+        length: 12,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "count", offset: 4},
+            {name: "current", offset: 5, width: 2, count: 3, scale: 10},
+            battery(11),
+            rssi(11)
+        ]
+    },
+
+    0x5A: {
+        name: function (subtype) {
+            return "elec" + (subtype + 1);
+        },
+        length: 16,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "count", offset: 4},
+            {name: "power", offset: 5, width: 4},                           // units watts
+            {name: "energy", offset: 9, width: 6, scale: 223.666, when: function (evt) {
+                return evt.subtype === 0x01 || (evt.subtype === 0x02 && evt.count === 0);
+            }},                                                               // units watt-hours
+            battery(15),
+            rssi(15)
+        ]
+    },
+
+    0x5B: {
+        name: "elec4",
+        length: 18,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "count", offset: 4},
+            {name: "current", offset: 5, width: 2, count: 3, scale: 10},
+            {name: "energy", offset: 11, width: 6, scale: 223.666, when: function (evt) {
+                return evt.count === 0;
+            }},                                                               // units watt-hours
+            battery(17),
+            rssi(17)
+        ]
+    },
+
+    0x5C: {
+        name: "elec5",
+        length: 14,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "voltage", offset: 4},
+            {name: "current", offset: 5, width: 2, scale: 100},
+            {name: "power", offset: 7, width: 2, scale: 10},
+            {name: "energy", offset: 9, width: 2, multiplier: 10},           // units watt-hours
+            {name: "powerFactor", offset: 11, scale: 100},
+            {name: "frequency", offset: 12},
+            rssi(13)
+        ]
+    },
+
+    0x5D: {
+        name: function (subtype) {
+            return "weight" + subtype;
+        },
+        length: 7,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "weight", offset: 4, width: 2, scale: 10},
+            battery(6),
+            rssi(6)
+        ]
+    },
+
+    0x70: {
+        name: "rfxsensor",
+        length: 6,
+        fields: [
+            {name: "id", offset: 2, format: "hex"},
+            {name: "message", offset: 3, width: 2, signed: true, scale: 100, when: function (evt) {
+                return evt.subtype === rfxcom.rfxsensor.TEMP;
+            }},
+            {name: "message", offset: 3, width: 2, when: function (evt) {
+                return evt.subtype === rfxcom.rfxsensor.AD || evt.subtype === rfxcom.rfxsensor.VOLTAGE;
+            }},
+            rssi(5)
+        ]
+    },
+
+    0x71: {
+        name: "rfxmeter",
+        length: 9,
+        fields: [
+            {name: "id", offset: 2, width: 2, format: "hex"},
+            {name: "counter", offset: 4, width: 4}
+        ]
+    }
+};
+
+// The fields common to every packet type (decodeFields() decodes these itself)
+var commonFields = [
+    {name: "subtype", offset: 0},
+    {name: "seqnbr", offset: 1}
+];
+
+function lookup(packetType) {
+    var entry = packetTypes[packetType];
+    if (typeof entry === "undefined") {
+        throw new Error("Unsupported packet type 0x" + hex([packetType & 0xff]).slice(2));
+    }
+    return entry;
+}
+
+function fieldFormat(field) {
+    return (typeof field.format === "object") ? field.format : formats[field.format || "uint"];
+}
+
+// The mask of the bits of each byte of the field
+function byteMasks(field) {
+    var width = field.width || 1;
+    if (field.mask instanceof Array) {
+        return field.mask;
+    } else if (typeof field.mask === "number") {
+        return uintToBytes(field.mask, width);
+    }
+    return uintToBytes(Math.pow(256, width) - 1, width);
+}
+
+function decodeField(field, data, offset) {
+    return fieldFormat(field).decode(data, offset, field);
+}
+
+// This is on the receive path for every packet, so avoids allocating anything but the event object
+function decodeFields(fields, data) {
+    var evt = {subtype: data[0], seqnbr: data[1]},
+        field, values, index, count;
+    for (index = 0; index < fields.length; index++) {
+        field = fields[index];
+        if (typeof field.when === "function" && !field.when(evt)) {
+            continue;
+        }
+        if (typeof field.offset !== "number") {
+            evt[field.name] = field.value;
+        } else if (typeof field.count === "number") {
+            values = [];
+            for (count = 0; count < field.count; count++) {
+                values.push(decodeField(field, data, field.offset + count*(field.width || 1)));
+            }
+            evt[field.name] = values;
+        } else {
+            evt[field.name] = decodeField(field, data, field.offset);
+        }
+    }
+    return evt;
+}
+
+function encodeField(field, value, data, written, offset) {
+    var masks = byteMasks(field),
+        bytes, index, free;
+    // Skip the field if an earlier field has already written all its bits
+    free = masks.some(function (mask, index) {
+        return (mask & ~written[offset + index]) !== 0;
+    });
+    if (!free || value === undefined || value === null) {
+        return;
+    }
+    bytes = fieldFormat(field).encode(value, field);
+    if (bytes === undefined) {
+        return;
+    }
+    for (index = 0; index < masks.length; index++) {
+        data[offset + index] |= (bytes[index] || 0) & masks[index] & ~written[offset + index];
+        written[offset + index] |= masks[index];
+    }
+}
+
+function encodeFields(fields, evt, length) {
+    var data = [], written = [], index;
+    for (index = 0; index < length; index++) {
+        data.push(0);
+        written.push(0);
+    }
+    fields.forEach(function (field) {
+        var value = evt[field.name];
+        if (typeof field.offset !== "number" || (typeof field.when === "function" && !field.when(evt))) {
+            return;
+        }
+        if (typeof field.count === "number") {
+            for (index = 0; index < field.count; index++) {
+                encodeField(field, (value || [])[index], data, written, field.offset + index*(field.width || 1));
+            }
+        } else {
+            encodeField(field, value, data, written, field.offset);
+        }
+    });
+    return data;
+}
+
+/*
+ * The schema table, for inspection. Each value has the event name, the length of the packet data, and its
+ * fields (status packets are the exception, they have decode & encode functions instead)
+ */
+exports.schema = packetTypes;
+
+/*
+ * The names of the receiver types (frequency modes) reported in the status, keyed by receiver type code
+ */
+exports.receiverTypes = receiverTypes;
+
+/*
+ * Return the value of the length byte of a packet of the given type, or undefined if the length is not fixed
+ * (or the packet type is unknown)
+ */
+exports.packetLength = function (packetType) {
+    var entry = packetTypes[packetType];
+    if (typeof entry !== "undefined" && typeof entry.length === "number") {
+        return entry.length + 1;
+    }
+    return undefined;
+};
+
+/*
+ * Return the name of the event for a packet of the given type & subtype
+ */
+exports.eventName = function (packetType, subtype) {
+    var name = lookup(packetType).name;
+    return (typeof name === "function") ? name(subtype) : name;
+};
+
+/*
+ * Decode the packet data (the bytes following the packet type byte) of a packet of the given type. Returns
+ * the event object, without type & packetType properties
+ */
+exports.decodeData = function (packetType, data) {
+    var entry = lookup(packetType);
+    if (typeof entry.decode === "function") {
+        return entry.decode(data);
+    }
+    return decodeFields(entry.fields, data);
+};
+
+/*
+ * Decode a packet, held in an array of bytes or a Buffer. A Buffer is decoded in place, without copying
+ */
+exports.decode = function (bytes) {
+    var data, evt, result, key;
+    if (bytes.length < 4 || bytes[0] + 1 !== bytes.length) {
+        throw new Error("Wrong packet length: " + bytes.length + " bytes");
+    }
+    data = Buffer.isBuffer(bytes) ? bytes.subarray(2) : Array.prototype.slice.call(bytes, 2);
+    evt = exports.decodeData(bytes[1], data);
+    result = {type: exports.eventName(bytes[1], evt.subtype), packetType: bytes[1]};
+    for (key in evt) {
+        if (evt.hasOwnProperty(key)) {
+            result[key] = evt[key];
+        }
+    }
+    return result;
+};
+
+exports.encode = function (evt) {
+    var entry, data;
+    if (typeof evt.packetType !== "number" || typeof evt.subtype !== "number") {
+        throw new Error("Object to encode must have numeric packetType & subtype properties");
+    }
+    entry = lookup(evt.packetType);
+    if (typeof entry.encode === "function") {
+        data = entry.encode(evt);
+    } else {
+        data = encodeFields(commonFields.concat(entry.fields), evt, entry.length);
+    }
+    data = data.map(function (value) {
+        return (value || 0) & 0xff;
+    });
+    data[1] = evt.seqnbr || 0;
+    return [data.length + 1, evt.packetType].concat(data);
+};
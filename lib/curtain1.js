@@ -37,8 +37,7 @@ Curtain1.prototype._sendCommand = function(deviceId, command, callback) {
       seqnbr = self.rfxcom.getSequenceNumber(),
       buffer = [0x07, defines.CURTAIN1, 0x00, seqnbr, device.houseCode, device.unitCode, command, 0];
 
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-  return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 
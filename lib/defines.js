@@ -11,10 +11,15 @@ module.exports = {
     LIGHTING5: 0x14,
     LIGHTING6: 0x15,
     CHIME1: 0x16,
+    FAN1: 0x17,
     CURTAIN1: 0x18,
     BLINDS1: 0x19,
     RFY: 0x1A,
     SECURITY1: 0x20,
+    CAMERA1: 0x28,
+    BLINDS2: 0x31,
+    THERMOSTAT2: 0x41,
+    THERMOSTAT3: 0x42,
 
     BLINDS_OPEN: 0x00,
     BLINDS_DOWN: 0x00,
@@ -35,6 +40,45 @@ module.exports = {
     CURTAIN_STOP: 0x02,
     CURTAIN_PROGRAM: 0x03,
 
+    CAMERA_LEFT: 0x00,
+    CAMERA_RIGHT: 0x01,
+    CAMERA_UP: 0x02,
+    CAMERA_DOWN: 0x03,
+    CAMERA_POSITION1: 0x04,
+    CAMERA_PROGRAM_POSITION1: 0x05,
+    CAMERA_CENTER: 0x0C,
+    CAMERA_PROGRAM_CENTER: 0x0D,
+    CAMERA_SWEEP: 0x0E,
+    CAMERA_PROGRAM_SWEEP: 0x0F,
+
+    THERMOSTAT_OFF: 0x00,
+    THERMOSTAT_ON: 0x01,
+    THERMOSTAT_PROGRAM: 0x02,
+    THERMOSTAT_UP: 0x02,
+    THERMOSTAT_DOWN: 0x03,
+    THERMOSTAT_RUN_UP: 0x04,
+    THERMOSTAT_RUN_DOWN: 0x05,
+    THERMOSTAT_OFF_2: 0x04,
+    THERMOSTAT_ON_2: 0x05,
+    THERMOSTAT_STOP: 0x06,
+
+    // Fan1 commands, which differ between subtypes
+    SiemensFanCommands: {
+        timer:        0x01,
+        speedDown:    0x02,
+        learn:        0x03,
+        speedUp:      0x04,
+        confirm:      0x05,
+        light:        0x06
+    },
+    LucciFanCommands: {
+        high:         0x01,
+        medium:       0x02,
+        low:          0x03,
+        off:          0x04,
+        light:        0x05
+    },
+
     RfyCommands: {
         stop:          0x00,
         up:            0x01,
@@ -58,7 +102,17 @@ module.exports = {
         sunwindenable: 0x13,
         sundisable:    0x14
     },
-    LastRfyCommand: 0x14
+    LastRfyCommand: 0x14,
+
+    Blinds2Commands: {
+        open:            0x00,
+        close:           0x01,
+        stop:            0x02,
+        pair:            0x03,
+        setPercent:      0x04,
+        setAngle:        0x05,
+        setPercentAngle: 0x06
+    }
 
 };
 
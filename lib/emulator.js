@@ -0,0 +1,278 @@
+module.exports = Emulator;
+/*jshint -W104 */
+const EventEmitter = require("events").EventEmitter,
+    util = require("util"),
+    rfxcom = require("./index");
+
+/*
+ * An emulated RFXtrx433E, for developing & testing without the hardware. It implements the transport
+ * interface (see transport.js), so it can be used with an RfxCom object like this:
+ *
+ *   var emulator = new rfxcom.Emulator(),
+ *       rfxtrx = new rfxcom.RfxCom("emulator", {transport: emulator.transport()});
+ *
+ * It answers the interface commands (reset, getStatus, enable, save, startRx) with the same status &
+ * copyright responses as the real device, and acknowledges every other command message. What it
+ * receives "over the air", and how it responds to commands, can be scripted - see script().
+ *
+ * Options (all optional):
+ *   receiverType    - the receiver type byte in the status response (default 0x53, 433.92MHz transceiver)
+ *   firmwareVersion - reported firmware version (default 1001)
+ *   firmwareType    - reported firmware type (default 3, "Ext")
+ *   hardwareVersion - reported hardware version, as [major, minor] (default [1, 3])
+ *   protocols       - array of initially enabled protocols, from rfxcom.protocols (default none)
+ *   responseDelay   - time in ms the emulator takes to respond to a command message (default 10)
+ */
+function Emulator(options) {
+    var self = this;
+    EventEmitter.call(self);
+
+    self.options = options || {};
+    self.receiverType = self.options.receiverType || 0x53;
+    self.firmwareVersion = self.options.firmwareVersion || 1001;
+    self.firmwareType = self.options.firmwareType || 3;
+    self.hardwareVersion = self.options.hardwareVersion || [1, 3];
+    self.responseDelay = (typeof self.options.responseDelay === "number") ? self.options.responseDelay : 10;
+    // Enabled protocol bitmaps, msg3 - msg6 of the status response
+    self.protocolBytes = [0x00, 0x00, 0x00, 0x00];
+    (self.options.protocols || []).forEach(function (protocol) {
+        self.protocolBytes[protocol.msg - 3] |= protocol.bit;
+    });
+
+    // All the messages written to the emulator, in order
+    self.written = [];
+    // Response codes for the next transmitted command messages (see failNext())
+    self._responseCodes = [];
+    self._timers = [];
+    self.parser = null;
+    self.isOpen = false;
+    self.receiving = false;
+}
+util.inherits(Emulator, EventEmitter);
+
+/*
+ * Return a transport factory for the options.transport parameter of the RfxCom constructor. The factory
+ * returns a new connection to this emulator each time, so it can also be reconnected after a scripted
+ * disconnection
+ */
+Emulator.prototype.transport = function () {
+    var self = this;
+    return function (device, parser) {
+        self.parser = parser;
+        return new Connection(self);
+    };
+};
+
+/*
+ * A connection to an emulator, as returned by its transport factory. It passes its methods on to the
+ * emulator, and relays the emulator's events until it is closed, so the listeners an RfxCom object
+ * attaches to each connection don't accumulate on the emulator
+ */
+function Connection(emulator) {
+    var self = this;
+    EventEmitter.call(self);
+
+    self.emulator = emulator;
+    self._relays = {};
+    ["open", "data", "error", "disconnect", "end", "drain"].forEach(function (event) {
+        self._relays[event] = function () {
+            self.emit.apply(self, [event].concat(Array.prototype.slice.call(arguments)));
+        };
+        emulator.on(event, self._relays[event]);
+    });
+}
+util.inherits(Connection, EventEmitter);
+
+Connection.prototype.open = function () {
+    this.emulator.open();
+};
+
+Connection.prototype.write = function (bytes, callback) {
+    this.emulator.write(bytes, callback);
+};
+
+Connection.prototype.flush = function (callback) {
+    this.emulator.flush(callback);
+};
+
+Connection.prototype.close = function () {
+    var self = this;
+    Object.keys(self._relays).forEach(function (event) {
+        self.emulator.removeListener(event, self._relays[event]);
+    });
+    self._relays = {};
+    self.emulator.close();
+};
+
+Emulator.prototype.open = function () {
+    var self = this;
+    self._later(0, function () {
+        self.isOpen = true;
+        self.receiving = false;
+        self.emit("open");
+    });
+};
+
+Emulator.prototype.write = function (bytes, callback) {
+    var self = this;
+    if (!self.isOpen) {
+        if (typeof callback === "function") {
+            process.nextTick(callback, new Error("Not connected"));
+        }
+        return;
+    }
+    bytes = Array.prototype.slice.call(bytes);
+    self.written.push(bytes);
+    self.emit("write", bytes);
+    if (typeof callback === "function") {
+        process.nextTick(callback);
+    }
+    if (bytes[1] === 0x00) {
+        self._interfaceCommand(bytes);
+    } else {
+        self._respond([0x04, 0x02, 0x01, bytes[3],
+            self._responseCodes.length > 0 ? self._responseCodes.shift() : rfxcom.responseCode.OK]);
+    }
+};
+
+Emulator.prototype.flush = function (callback) {
+    if (typeof callback === "function") {
+        process.nextTick(callback);
+    }
+};
+
+Emulator.prototype.close = function () {
+    var self = this;
+    self.isOpen = false;
+    self.receiving = false;
+    self._timers.forEach(function (timer) {
+        clearTimeout(timer);
+    });
+    self._timers = [];
+};
+
+/*
+ * Simulate the reception of a packet (an array of bytes, starting with the length byte), e.g. from a sensor
+ */
+Emulator.prototype.receive = function (packet) {
+    var self = this;
+    if (self.isOpen) {
+        if (self.parser !== null) {
+            self.parser(self, packet);
+        } else {
+            self.emit("data", packet);
+        }
+    }
+};
+
+/*
+ * Respond to the next transmitted command message with the given response code (default
+ * TX_LOCK_FAILED) instead of OK. Calls accumulate: each failure applies to one command message
+ */
+Emulator.prototype.failNext = function (responseCode) {
+    var self = this;
+    self._responseCodes.push(typeof responseCode === "number" ? responseCode : rfxcom.responseCode.TX_LOCK_FAILED);
+};
+
+/*
+ * Simulate the RFXtrx being unplugged
+ */
+Emulator.prototype.disconnect = function (message) {
+    var self = this;
+    if (self.isOpen) {
+        self.close();
+        self.emit("disconnect", message || "Emulator disconnected");
+    }
+};
+
+/*
+ * Run a script: an array of steps, each performed once the previous one is complete. A step is
+ * an object with one of the properties:
+ *
+ *   {receive: packet}          - simulate the reception of a packet (see receive())
+ *   {delay: ms}                - wait for the given time
+ *   {fail: responseCode}       - respond to the next command message with responseCode (see failNext())
+ *   {disconnect: message}      - simulate the RFXtrx being unplugged (see disconnect())
+ *
+ * Returns a Promise which resolves once the script is complete
+ */
+Emulator.prototype.script = function (steps) {
+    var self = this;
+    return steps.reduce(function (previous, step) {
+        return previous.then(function () {
+            if (step.hasOwnProperty("delay")) {
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, step.delay);
+                });
+            } else if (step.hasOwnProperty("receive")) {
+                self.receive(step.receive);
+            } else if (step.hasOwnProperty("fail")) {
+                self.failNext(step.fail);
+            } else if (step.hasOwnProperty("disconnect")) {
+                self.disconnect(step.disconnect);
+            } else {
+                throw new Error("Invalid script step " + JSON.stringify(step));
+            }
+        });
+    }, Promise.resolve());
+};
+
+/*
+ * Respond to an interface control command message (packet type 0)
+ */
+Emulator.prototype._interfaceCommand = function (bytes) {
+    var self = this,
+        seqnbr = bytes[3],
+        cmnd = bytes[4];
+
+    switch (cmnd) {
+        case 0x00:  // Reset - no response, & stop receiving until startRx
+            self.receiving = false;
+            break;
+
+        case 0x03:  // Set mode
+            self.receiverType = bytes[5];
+            self.protocolBytes = bytes.slice(7, 11);
+            self._respond(self._statusPacket(seqnbr, cmnd));
+            break;
+
+        case 0x02:  // Get status
+        case 0x06:  // Save settings
+            self._respond(self._statusPacket(seqnbr, cmnd));
+            break;
+
+        case 0x07:  // Start receiver
+            self.receiving = true;
+            self._respond([0x14, 0x01, 0x07, seqnbr, cmnd].concat(Array.prototype.map.call("Copyright RFXCOM",
+                function (c) {
+                    return c.charCodeAt(0);
+                })));
+            break;
+
+        default:    // Command not understood
+            self._respond([0x04, 0x01, 0xFF, seqnbr, cmnd]);
+            break;
+    }
+};
+
+Emulator.prototype._statusPacket = function (seqnbr, cmnd) {
+    var self = this;
+    return [0x14, 0x01, 0x00, seqnbr, cmnd, self.receiverType, (self.firmwareVersion - 1000) & 0xFF]
+        .concat(self.protocolBytes, self.hardwareVersion, [0x00, self.firmwareType, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+};
+
+Emulator.prototype._respond = function (packet) {
+    var self = this;
+    self._later(self.responseDelay, function () {
+        self.receive(packet);
+    });
+};
+
+Emulator.prototype._later = function (delay, action) {
+    var self = this,
+        timer = setTimeout(function () {
+            self._timers.splice(self._timers.indexOf(timer), 1);
+            action();
+        }, delay);
+    self._timers.push(timer);
+};
@@ -0,0 +1,61 @@
+var util = require("util");
+
+/*
+ * Base class for the errors used to reject the Promises returned by RfxCom and the transmitter
+ * classes. seqnbr is the sequence number of the command message concerned, if there is one.
+ */
+function RfxComError(message, seqnbr) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.message = message;
+    this.seqnbr = seqnbr;
+}
+util.inherits(RfxComError, Error);
+
+/*
+ * The RFXtrx responded to a command message with a NAK, or did not understand it.
+ * responseCode is one of the values in rfxcom.responseCode
+ */
+function ResponseError(message, seqnbr, responseCode) {
+    RfxComError.call(this, message, seqnbr);
+    this.responseCode = responseCode;
+}
+util.inherits(ResponseError, RfxComError);
+
+/*
+ * The RFXtrx did not respond to a command message in time
+ */
+function TimeoutError(message, seqnbr) {
+    RfxComError.call(this, message, seqnbr);
+}
+util.inherits(TimeoutError, RfxComError);
+
+/*
+ * A step of the initialisation sequence failed. step is the initialisation state in which the failure
+ * occurred (one of the values in rfxcom.initialiseState)
+ */
+function InitialiseError(message, step) {
+    RfxComError.call(this, "Initialisation failed at step '" + step + "': " + message);
+    this.step = step;
+}
+util.inherits(InitialiseError, RfxComError);
+
+/*
+ * The connected RFXtrx cannot transmit the command (see RfxCom.supports()). packetType & subtype
+ * identify the command message, which was not sent
+ */
+function UnsupportedError(message, seqnbr, packetType, subtype) {
+    RfxComError.call(this, message, seqnbr);
+    this.packetType = packetType;
+    this.subtype = subtype;
+}
+util.inherits(UnsupportedError, RfxComError);
+
+module.exports = {
+    RfxComError: RfxComError,
+    ResponseError: ResponseError,
+    TimeoutError: TimeoutError,
+    InitialiseError: InitialiseError,
+    UnsupportedError: UnsupportedError
+};
@@ -0,0 +1,135 @@
+module.exports = Fan1;
+/*jshint -W104 */
+const defines = require('./defines'),
+    index = require('./index'),
+    util = require('util');
+
+/*
+ * This is a class for controlling Siemens SF01 & Lucci Air ceiling fans
+ */
+function Fan1(rfxcom, subtype) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.subtype = subtype;
+
+    if (typeof self.subtype === "undefined") {
+        throw new Error("Must provide a subtype.");
+    }
+}
+
+/*
+    Returns true if the subtype matches the supplied subtypeName
+ */
+Fan1.prototype.isSubtype = function (subtypeName) {
+    return index.fan1[subtypeName] === this.subtype;
+};
+
+/*
+ * Splits the device id and returns the ID bytes. Siemens IDs are 16 bits, Lucci Air IDs (set by the
+ * switches in the remote) are 0 - 15.
+ * Throws an Error if the format is invalid.
+ */
+Fan1.prototype._splitDeviceId = function (deviceId) {
+    var parts, id;
+    if (util.isArray(deviceId)) {
+        parts = deviceId;
+    } else {
+        parts = deviceId.split("/");
+    }
+    if (parts.length !== 1) {
+        throw new Error("Invalid deviceId format");
+    }
+    id = this.rfxcom.stringToBytes(parts[0], 3);
+    if ((this.isSubtype("SIEMENS_SF01") && id.value > 0xffff) ||
+        (this.isSubtype("LUCCI_AIR") && id.value > 0x0f)) {
+        throw new Error("Address 0x" + id.value.toString(16) + " outside valid range");
+    }
+    return {
+        idBytes: id.bytes
+    };
+};
+
+Fan1.prototype._timeoutHandler = function (buffer, seqnbr) {
+    return false;
+};
+
+/*
+ * Look up the named command in the command table for this subtype, and send it. Throws an error naming the
+ * method if the subtype has no such command
+ */
+Fan1.prototype._sendCommand = function (deviceId, commandName, method, callback) {
+    var self = this,
+        commands = self.isSubtype("SIEMENS_SF01") ? defines.SiemensFanCommands :
+                   self.isSubtype("LUCCI_AIR") ? defines.LucciFanCommands : {},
+        device, seqnbr, buffer;
+
+    if (!commands.hasOwnProperty(commandName)) {
+        throw new Error("Device does not support " + method + "()");
+    }
+    device = self._splitDeviceId(deviceId);
+    seqnbr = self.rfxcom.getSequenceNumber();
+    buffer = [0x08, defines.FAN1, self.subtype, seqnbr,
+              device.idBytes[0], device.idBytes[1], device.idBytes[2], commands[commandName], 0];
+
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
+};
+
+/*
+ * Increase the fan speed (Siemens)
+ */
+Fan1.prototype.increaseSpeed = function (deviceId, callback) {
+    return this._sendCommand(deviceId, "speedUp", "increaseSpeed", callback);
+};
+
+/*
+ * Decrease the fan speed (Siemens)
+ */
+Fan1.prototype.decreaseSpeed = function (deviceId, callback) {
+    return this._sendCommand(deviceId, "speedDown", "decreaseSpeed", callback);
+};
+
+/*
+ * Set the fan speed (Lucci Air): speed is "low", "medium" or "high"
+ */
+Fan1.prototype.setSpeed = function (deviceId, speed, callback) {
+    if (["low", "medium", "high"].indexOf(speed) === -1) {
+        throw new Error("Invalid speed '" + speed + "'");
+    }
+    return this._sendCommand(deviceId, speed, "setSpeed", callback);
+};
+
+/*
+ * Start or stop the fan timer (Siemens)
+ */
+Fan1.prototype.startTimer = function (deviceId, callback) {
+    return this._sendCommand(deviceId, "timer", "startTimer", callback);
+};
+
+/*
+ * Toggle the fan light on or off
+ */
+Fan1.prototype.toggleLight = function (deviceId, callback) {
+    return this._sendCommand(deviceId, "light", "toggleLight", callback);
+};
+
+/*
+ * Put the fan in learn mode (Siemens)
+ */
+Fan1.prototype.learn = function (deviceId, callback) {
+    return this._sendCommand(deviceId, "learn", "learn", callback);
+};
+
+/*
+ * Confirm a learned ID (Siemens)
+ */
+Fan1.prototype.confirm = function (deviceId, callback) {
+    return this._sendCommand(deviceId, "confirm", "confirm", callback);
+};
+
+/*
+ * Switch the fan off (Lucci Air)
+ */
+Fan1.prototype.switchOff = function (deviceId, callback) {
+    return this._sendCommand(deviceId, "off", "switchOff", callback);
+};
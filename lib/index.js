@@ -9,6 +9,36 @@ exports.Blinds1 = require('./blinds1');
 exports.Chime1 = require('./chime1');
 exports.Curtain1 = require('./curtain1');
 exports.Rfy = require('./rfy');
+exports.Fan1 = require('./fan1');
+exports.Camera1 = require('./camera1');
+exports.Thermostat2 = require('./thermostat2');
+exports.Thermostat3 = require('./thermostat3');
+exports.Blinds2 = require('./blinds2');
+exports.Security1 = require('./security1');
+
+// Errors used to reject command Promises
+exports.RfxComError = require('./errors').RfxComError;
+exports.ResponseError = require('./errors').ResponseError;
+exports.TimeoutError = require('./errors').TimeoutError;
+exports.InitialiseError = require('./errors').InitialiseError;
+exports.UnsupportedError = require('./errors').UnsupportedError;
+
+// Built-in transports, for use by custom transport factories (see transport.js)
+exports.SerialTransport = require('./serialtransport');
+exports.TcpTransport = require('./tcptransport');
+
+// Emulated RFXtrx433E, for development & testing without the hardware
+exports.Emulator = require('./emulator');
+
+// Recording & playback of RFXtrx traffic
+exports.Recorder = require('./recorder');
+exports.Replay = require('./replay');
+
+// Packet encoding & decoding, independent of RfxCom
+exports.codec = require('./codec');
+
+// Transmit capabilities of the RFXtrx variants (see RfxCom.supports())
+exports.capabilities = require('./capabilities');
 
 // Bitmap definitions for 'supported protocols' message
 exports.protocols = {
@@ -19,6 +49,7 @@ exports.protocols = {
   RSL: {bit: 0x10, msg: 3},
   BYRONSX: {bit: 0x20, msg: 3},
   RFU6: {bit: 0x40, msg: 3},
+  UNDECODED: {bit: 0x80, msg: 3},
   MERTIK: {bit: 0x01, msg: 4},
   LIGHTWAVERF: {bit: 0x02, msg: 4},
   HIDEKI: {bit: 0x04, msg: 4},
@@ -37,6 +68,44 @@ exports.protocols = {
   VISONIC: {bit: 0x80, msg: 5}
 };
 
+// Receiver/transceiver frequency modes (the receiver type code in the mode command & status), for setFrequency().
+// The RFXtrx868 can be set to any of the 868MHz modes, other hardware has a single mode
+exports.frequency = {
+  MHZ_310: 0x50,
+  MHZ_315: 0x51,
+  MHZ_433_92_RECEIVER: 0x52,
+  MHZ_433_92: 0x53,
+  MHZ_868_00: 0x55,
+  MHZ_868_00_FSK: 0x56,
+  MHZ_868_30: 0x57,
+  MHZ_868_30_FSK: 0x58,
+  MHZ_868_35: 0x59,
+  MHZ_868_35_FSK: 0x5A,
+  MHZ_868_95: 0x5B
+};
+Object.freeze(exports.frequency);
+
+// The protocols (names from exports.protocols) which can be received in each frequency mode
+exports.frequencyProtocols = (function () {
+  var all = Object.keys(exports.protocols),
+      table = {};
+  table[0x50] = ['X10', 'UNDECODED'];
+  table[0x51] = ['X10', 'UNDECODED'];
+  table[0x52] = all;
+  table[0x53] = all;
+  table[0x55] = ['UNDECODED'];
+  table[0x56] = ['UNDECODED'];
+  table[0x57] = ['UNDECODED'];
+  table[0x58] = ['FINEOFFSET', 'LACROSSE', 'UNDECODED'];
+  table[0x59] = ['FS20', 'UNDECODED'];
+  table[0x5A] = ['UNDECODED'];
+  table[0x5B] = ['VISONIC', 'UNDECODED'];
+  Object.keys(table).forEach(function (code) {
+    Object.freeze(table[code]);
+  });
+  return Object.freeze(table);
+}());
+
 // Establish reflection mapping (BiMap) for an Array, or throw an error if the array is not reflectable
 var reflect = function(array) {
     for (var i = 0; i < array.length; i++) {
@@ -50,6 +119,13 @@ var reflect = function(array) {
 
 // Protocol subtype definitions for each protocol
 
+// Packet type 0x03 (the protocol of an undecoded packet)
+exports.undecoded = reflect(['AC', 'ARC', 'ATI', 'HIDEKI', 'LACROSSE', 'AD', 'MERTIK', 'OREGON1', 'OREGON2', 'OREGON3',
+                             'PROGUARD', 'VISONIC', 'NEC', 'FS20', 'RESERVED', 'BLINDS', 'RUBICSON', 'AE',
+                             'FINEOFFSET', 'RGB', 'RTS', 'SELECT_PLUS', 'HOMECONFORT', 'EDISIO', 'HONEYWELL',
+                             'FUNKBUS', 'BYRONSX']);
+Object.freeze(exports.undecoded);
+
 // Packet type 0x10
 exports.lighting1 = reflect(['X10', 'ARC', 'ELRO', 'WAVEMAN', 'CHACON', 'IMPULS', 'RISING_SUN',
                              'PHILIPS_SBC', 'ENERGENIE_ENER010', 'ENERGENIE_5_GANG', 'COCO']);
@@ -88,6 +164,7 @@ Object.freeze(exports.chime1);
 
 // Packet type 0x17
 exports.fan1 = reflect(['SIEMENS_SF01', 'FAN_UNUSED', 'LUCCI_AIR']);
+exports.fan1.transmitter = exports.Fan1;
 Object.freeze(exports.fan1);
 
 // Packet type 0x18
@@ -110,12 +187,41 @@ Object.freeze(exports.rfy);
 // Packet type 0x20
 exports.security1 = reflect(['X10_DOOR', 'X10_PIR', 'X10_SECURITY', 'KD101', 'POWERCODE_DOOR', 'POWERCODE_PIR',
                              'CODE_SECURE', 'POWERCODE_AUX', 'MEIANTECH', 'SA30']);
+exports.security1.transmitter = exports.Security1;
 Object.freeze(exports.security1);
 
+// Packet type 0x21
+exports.security2 = reflect(['CLASSIC_KEELOQ', 'ROLLING_CODE', 'AES_KEELOQ']);
+Object.freeze(exports.security2);
+
 // Packet type 0x28
 exports.camera1 = reflect(['X10_NINJA']);
+exports.camera1.transmitter = exports.Camera1;
 Object.freeze(exports.camera1);
 
+// Packet type 0x30
+exports.remote = reflect(['ATI_REMOTE_WONDER', 'ATI_REMOTE_WONDER_PLUS', 'MEDION', 'X10_PC_REMOTE']);
+Object.freeze(exports.remote);
+
+// Packet type 0x31
+exports.blinds2 = reflect(['BREL_DOOYA']);
+exports.blinds2.transmitter = exports.Blinds2;
+Object.freeze(exports.blinds2);
+
+// Packet type 0x40
+exports.thermostat1 = reflect(['DIGIMAX_TLX7506', 'DIGIMAX_SHORT']);
+Object.freeze(exports.thermostat1);
+
+// Packet type 0x41
+exports.thermostat2 = reflect(['HE105', 'RTS10']);
+exports.thermostat2.transmitter = exports.Thermostat2;
+Object.freeze(exports.thermostat2);
+
+// Packet type 0x42
+exports.thermostat3 = reflect(['MERTIK_G6R_H4T1', 'MERTIK_G6R_H4TB', 'MERTIK_G6R_H4TD', 'MERTIK_G6R_H4S']);
+exports.thermostat3.transmitter = exports.Thermostat3;
+Object.freeze(exports.thermostat3);
+
 // Packet type 0x4e
 exports.bbq1 = reflect(['BBQ_UNUSED', 'MAVERICK']);
 Object.freeze(exports.bbq1);
@@ -192,6 +298,22 @@ exports.security = {
   ALARM_DELAYED: 3,
   MOTION: 4,
   NO_MOTION: 5,
+  PANIC: 6,
+  END_PANIC: 7,
+  IR: 8,
+  ARM_AWAY: 9,
+  ARM_AWAY_DELAYED: 10,
+  ARM_HOME: 11,
+  ARM_HOME_DELAYED: 12,
+  DISARM: 13,
+  LIGHT1_OFF: 16,
+  LIGHT1_ON: 17,
+  LIGHT2_OFF: 18,
+  LIGHT2_ON: 19,
+  DARK_DETECTED: 20,
+  LIGHT_DETECTED: 21,
+  BATTERY_LOW: 22,
+  PAIR_KD101: 23,
   X10_DOOR_WINDOW_SENSOR: 0,
   X10_MOTION_SENSOR: 1,
   X10_SECURITY_REMOTE: 2
@@ -219,6 +341,18 @@ exports.rfxsensor = {
   MESSAGE: 3
 };
 
+// States of the initialisation sequence, reported in "initialisestate" events
+exports.initialiseState = {
+    CLOSED: "closed",
+    OPENING: "opening",
+    WAITING: "waiting",
+    RESET: "reset",
+    FLUSH: "flush",
+    GET_STATUS: "getStatus",
+    START_RX: "startRx",
+    READY: "ready"
+};
+
 // Codes used in "response" events
 exports.responseCode = {
     OK: 0x00,
@@ -82,8 +82,7 @@ Lighting1.prototype._sendCommand = function (deviceId, command, callback) {
     var buffer = [0x07, defines.LIGHTING1, self.subtype, seqnbr,
                 device.houseCode, device.unitCode, command, 0];
 
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 /*
@@ -96,9 +96,7 @@ Lighting2.prototype._sendCommand = function(deviceId, command, level, callback)
                     device.idBytes[1], device.idBytes[2], device.idBytes[3],
                     device.unitCode, command, level, 0];
 
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 /*
@@ -74,8 +74,7 @@ Lighting3.prototype._sendCommand = function (deviceId, command, callback) {
     var buffer = [0x08, defines.LIGHTING3, self.subtype, seqnbr,
         device.systemCode, device.channelCode[0], device.channelCode[1], command, 0];
 
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 /*
@@ -39,8 +39,7 @@ Lighting4.prototype._sendCommand = function (data, pulseWidth, callback) {
     var seqnbr = self.rfxcom.getSequenceNumber();
     var buffer = [0x09, defines.LIGHTING4, self.subtype, seqnbr,
         data[0], data[1], data[2], pulseWidth[0], pulseWidth[1], 0];
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 Lighting4.prototype.toByteArray = function (data, numBytes) {
@@ -91,8 +91,7 @@ Lighting5.prototype._sendCommand = function(deviceId, command, level, callback)
                   device.idBytes[0], device.idBytes[1], device.idBytes[2],
                   device.unitCode, command, level, 0];
 
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 
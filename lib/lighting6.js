@@ -70,8 +70,7 @@ Lighting6.prototype._sendCommand = function (deviceId, command, callback) {
         var buffer = [0x0b, defines.LIGHTING6, self.subtype, seqnbr,
             device.idBytes[0], device.idBytes[1], device.groupCode, device.unitCode, command, 0, 0, 0];
 
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-        return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
     };
 
 /*
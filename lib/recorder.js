@@ -0,0 +1,90 @@
+module.exports = Recorder;
+/*jshint -W104 */
+const fs = require("fs");
+
+/*
+ * Records every packet received from, and transmitted to, the RFXtrx by an RfxCom object. Each packet is
+ * written to the destination as a line of JSON:
+ *
+ *   {"timestamp": <ms since the epoch>, "direction": "receive" | "transmit", "packet": [<bytes>]}
+ *
+ * The destination is either a file name (the file is appended to) or a writable stream. Recordings can
+ * be played back by a Replay object.
+ */
+function Recorder(rfxcom, destination) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.destination = destination;
+    self.stream = null;
+    self.listeners = {
+        receive: function (packet) {
+            self._record("receive", packet);
+        },
+        transmit: function (packet) {
+            self._record("transmit", packet);
+        }
+    };
+}
+
+/*
+ * Start recording
+ */
+Recorder.prototype.start = function () {
+    var self = this, stream;
+    if (self.stream === null) {
+        if (typeof self.destination === "string") {
+            stream = fs.createWriteStream(self.destination, {flags: "a"});
+            // Stop recording if the file can't be opened or written, rather than crash on an unhandled 'error'
+            stream.on("error", function (err) {
+                if (self.stream === stream) {
+                    self._removeListeners();
+                    self.stream = null;
+                }
+                self.rfxcom.debugLog("Error   : Recording to " + self.destination + " stopped, " + err.message);
+            });
+            self.stream = stream;
+        } else {
+            self.stream = self.destination;
+        }
+        Object.keys(self.listeners).forEach(function (event) {
+            self.rfxcom.on(event, self.listeners[event]);
+        });
+    }
+    return self;
+};
+
+/*
+ * Stop recording. If the recording is to a file, the file is closed and the callback (if supplied)
+ * called once all the packets have been written
+ */
+Recorder.prototype.stop = function (callback) {
+    var self = this;
+    if (self.stream !== null) {
+        self._removeListeners();
+        if (typeof self.destination === "string") {
+            self.stream.end(callback);
+            callback = null;
+        }
+        self.stream = null;
+    }
+    if (typeof callback === "function") {
+        process.nextTick(callback);
+    }
+};
+
+Recorder.prototype._removeListeners = function () {
+    var self = this;
+    Object.keys(self.listeners).forEach(function (event) {
+        self.rfxcom.removeListener(event, self.listeners[event]);
+    });
+};
+
+Recorder.prototype._record = function (direction, packet) {
+    var self = this;
+    self.stream.write(JSON.stringify({
+        timestamp: Date.now(),
+        direction: direction,
+        packet:    Array.prototype.slice.call(packet)
+    }) + "\n");
+};
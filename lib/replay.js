@@ -0,0 +1,148 @@
+module.exports = Replay;
+/*jshint -W104 */
+const fs = require("fs"),
+    EventEmitter = require("events").EventEmitter;
+
+/*
+ * Plays back a recording made by a Recorder. Each received packet is fed through the RfxCom object's
+ * rfxtrxParser and packet handlers, so the RfxCom object emits exactly the events it emitted when the
+ * recording was made. Transmitted packets are skipped, as are interface status & command response packets
+ * (types 0x01 & 0x02), which would otherwise change the state of a live RfxCom object & settle its pending
+ * commands. The RfxCom object need not be open.
+ *
+ * The source is either a file name or an array of records (objects with timestamp, direction & packet
+ * properties). By default packets are played back with their original timing: options.speed is a speed
+ * multiplier (so 10 is ten times faster), and Infinity plays back without any delay.
+ */
+function Replay(rfxcom, source, options) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.source = source;
+    self.options = options || {};
+    self.speed = self.options.speed || 1;
+    self._timer = null;
+    self._finish = null;
+}
+
+/*
+ * Parse a recording (a string of JSON lines) into an array of records. Throws an Error identifying the
+ * line number of any invalid record
+ */
+Replay.parse = function (text) {
+    var records = [];
+    text.split(/\r?\n/).forEach(function (line, index) {
+        var record;
+        if (line.trim() !== "") {
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                record = null;
+            }
+            if (record === null || typeof record.timestamp !== "number" ||
+                (record.direction !== "receive" && record.direction !== "transmit") ||
+                !(record.packet instanceof Array)) {
+                throw new Error("Invalid record at line " + (index + 1));
+            }
+            records.push(record);
+        }
+    });
+    return records;
+};
+
+/*
+ * Start playing back. Calls the callback (if supplied) with (err) when playback is complete, or has
+ * failed or been stopped. If no callback is supplied, returns a Promise which resolves when playback
+ * is complete
+ */
+Replay.prototype.start = function (callback) {
+    var self = this,
+        promise = null;
+
+    if (typeof callback !== "function") {
+        promise = new Promise(function (resolve, reject) {
+            callback = function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            };
+        });
+    }
+    if (typeof self.source === "string") {
+        fs.readFile(self.source, "utf8", function (err, text) {
+            var records;
+            if (err) {
+                return callback(err);
+            }
+            try {
+                records = Replay.parse(text);
+            } catch (e) {
+                return callback(e);
+            }
+            self._play(records, callback);
+        });
+    } else {
+        process.nextTick(function () {
+            self._play(self.source, callback);
+        });
+    }
+    return promise;
+};
+
+/*
+ * Stop playing back. The start() callback is called with an Error
+ */
+Replay.prototype.stop = function () {
+    var self = this;
+    if (self._finish !== null) {
+        self._finish(new Error("Replay stopped"));
+    }
+};
+
+Replay.prototype._play = function (records, callback) {
+    var self = this,
+        rfxcom = self.rfxcom,
+        parser = rfxcom.rfxtrxParser(),
+        emitter = new EventEmitter(),
+        wasReceiving = rfxcom.receiving,
+        received = records.filter(function (record) {
+            return record.direction === "receive";
+        }),
+        startTime = Date.now(),
+        index = 0,
+        next = function () {
+            var record, delay;
+            self._timer = null;
+            while (index < received.length) {
+                record = received[index];
+                delay = startTime + (record.timestamp - received[0].timestamp)/self.speed - Date.now();
+                if (delay > 0) {
+                    self._timer = setTimeout(next, delay);
+                    return;
+                }
+                index++;
+                parser(emitter, record.packet);
+            }
+            self._finish(null);
+        };
+
+    self._finish = function (err) {
+        self._finish = null;
+        if (self._timer !== null) {
+            clearTimeout(self._timer);
+            self._timer = null;
+        }
+        rfxcom.receiving = wasReceiving;
+        callback(err);
+    };
+    emitter.on("data", function (packet) {
+        if (packet[1] !== 0x01 && packet[1] !== 0x02) {
+            rfxcom.receivePacket(packet);
+        }
+    });
+    // The parser only accepts data while the RfxCom object is receiving
+    rfxcom.receiving = true;
+    next();
+};
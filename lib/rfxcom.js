@@ -1,8 +1,44 @@
-var SerialPort = require("serialport"),
+var transport = require("./transport"),
     rfxcom = require("./index"),
+    fs = require("fs"),
     EventEmitter = require("events").EventEmitter,
     util = require("util"),
-    queue = require("queue");
+    queue = require("queue"),
+    errors = require("./errors"),
+    codec = require("./codec"),
+    capabilities = require("./capabilities");
+
+/*
+ * Returns the completion for a command: an object holding a function settle(err, response, seqnbr), which
+ * calls the callback if one was supplied, or otherwise settles the Promise held in the promise property.
+ * Only the first call to settle() has any effect. The Promise is given a no-op rejection handler, so that
+ * callers who ignore it (as callers of the old callback-only API were entitled to do) do not trigger an
+ * unhandled rejection.
+ */
+function completion(callback) {
+    var result = {promise: null, settled: false},
+        settle = callback;
+
+    if (typeof callback !== "function") {
+        result.promise = new Promise(function (resolve, reject) {
+            settle = function (err, response) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(response);
+                }
+            };
+        });
+        result.promise.catch(function () {});
+    }
+    result.settle = function (err, response, seqnbr) {
+        if (!result.settled) {
+            result.settled = true;
+            settle(err, response, seqnbr);
+        }
+    };
+    return result;
+}
 
 function RfxCom(device, options) {
     var self = this;
@@ -11,14 +47,24 @@ function RfxCom(device, options) {
     self.handlers = {
         0x01: "statusHandler",
         0x02: "messageHandler",
+        0x03: "undecodedHandler",
         0x10: "lighting1Handler",
         0x11: "lighting2Handler",
+        0x12: "lighting3Handler",
         0x13: "lighting4Handler",
         0x14: "lighting5Handler",
         0x15: "lighting6Handler",
         0x16: "chime1Handler",
+        0x17: "fan1Handler",
+        0x18: "curtain1Handler",
         0x19: "blinds1Handler",
         0x20: "security1handler",
+        0x21: "security2Handler",
+        0x30: "remoteHandler",
+        0x31: "blinds2Handler",
+        0x40: "thermostat1Handler",
+        0x41: "thermostat2Handler",
+        0x42: "thermostat3Handler",
         0x4e: "bbq1handler",
         0x4f: "temprain1handler",
         0x50: "temp19Handler",
@@ -44,14 +90,20 @@ function RfxCom(device, options) {
     self.TxQ = queue({concurrency: self.options.concurrency || 3,
                       timeout: self.options.timeout || 10000});
     self.TxQ.on("timeout", function (next, transmission) {
-        if (transmission.sender._timeoutHandler.call(transmission.sender, transmission.buffer, transmission.seqnbr) === false) {
+        var response = transmission.sender._timeoutHandler.call(transmission.sender, transmission.buffer, transmission.seqnbr);
+        if (response === false) {
             self.debugLog("Error   : Command message " + self.dumpHex([transmission.seqnbr]) +
                 ", timed out waiting for response");
             self.emit("response", "Timed out waiting for response", transmission.seqnbr, rfxcom.responseCode.TIMEOUT);
+            self._acknowledge(transmission.seqnbr,
+                new errors.TimeoutError("Timed out waiting for response", transmission.seqnbr));
+        } else {
+            self._acknowledge(transmission.seqnbr, null, response);
         }
         next();
     });
-    // Holds the command acknowledgement callbacks for the transmit queue
+    // Holds the command acknowledgement callbacks, indexed by sequence number. These are called with
+    // (err, response) when the RFXtrx responds to a command message
     self.acknowledge = new Array(256);
     for (var idx = 0; idx < self.acknowledge.length; idx++) {
         self.acknowledge[idx] = null;
@@ -62,32 +114,73 @@ function RfxCom(device, options) {
         self.serialport = options.port;
     }
 
-    // Store the device to use
+    // Store the device to use. A malformed TCP address is rejected here rather than when opening
+    transport.TcpTransport.parseAddress(device);
     self.device = device;
 
     // This is a buffering parser which accumulates message bytes until it receives the number of bytes specified by the
     // first byte of the message + 1. It relies on a flushed buffer, to ensure it starts with the length byte of the
     // first message. The 'data' message emitted contains all the message bytes. Messages may be split across multiple
-    // buffers, or a single buffer may contain multiple messages. If a length byte is outside the valid range (4..36)
-    // it is assumed synchronisation has been lost and all received data is discarded. The parser attempts to resynchronise
-    // at the start of the next buffer.
+    // buffers, or a single buffer may contain multiple messages. If a message does not start with a plausible length
+    // & packet type (see _isPacketStart()) it is assumed synchronisation has been lost: the parser discards bytes
+    // until it finds one that does, and emits a 'resync' event with the discarded bytes.
+    // Each packet is emitted as a Buffer sharing memory with the received data, so nothing is copied unless
+    // a packet is split across reads: it is then assembled in a Buffer of its own. A transport must not reuse
+    // a buffer it has passed to the parser
     self.rfxtrxParser = function() {
-        var data = [],
-            requiredBytes = 0;
+        var pending = null,
+            partial = null,
+            filled = 0,
+            isPacketStart = function (buffer, offset) {
+                return self._isPacketStart(buffer[offset], offset + 1 < buffer.length ? buffer[offset + 1] : undefined);
+            };
         return function(emitter, buffer) {
+            var start = 0,
+                skip, length;
             if (self.receiving) {
-                data.push.apply(data, buffer);
-                while (data.length >= requiredBytes) {
-                    if (requiredBytes > 0) {
-                        emitter.emit("data", data.slice(0, requiredBytes));
-                        data = data.slice(requiredBytes);
-                    }
-                    if (data.length > 0 && data[0] >= 4 && data[0] <= 36) {
-                        requiredBytes = data[0] + 1;
+                if (!Buffer.isBuffer(buffer)) {
+                    buffer = Buffer.from(buffer);
+                }
+                if (pending !== null) {
+                    // A length byte, received without the packet type which follows it
+                    if (self._isPacketStart(pending[0], buffer[0])) {
+                        partial = Buffer.allocUnsafe(pending[0] + 1);
+                        partial[0] = pending[0];
+                        filled = 1;
                     } else {
-                        requiredBytes = 0;
-                        data = [];
+                        buffer = Buffer.concat([pending, buffer]);
+                    }
+                    pending = null;
+                }
+                if (partial !== null) {
+                    start = buffer.copy(partial, filled, 0, partial.length - filled);
+                    filled += start;
+                    if (filled < partial.length) {
+                        return;
+                    }
+                    emitter.emit("data", partial);
+                    partial = null;
+                }
+                while (start < buffer.length) {
+                    if (!isPacketStart(buffer, start)) {
+                        skip = start + 1;
+                        while (skip < buffer.length && !isPacketStart(buffer, skip)) {
+                            skip++;
+                        }
+                        self._resync(buffer.subarray(start, skip));
+                        start = skip;
+                    } else if (start + 1 === buffer.length) {
+                        pending = buffer.subarray(start);
                         break;
+                    } else {
+                        length = buffer[start] + 1;
+                        if (start + length > buffer.length) {
+                            partial = Buffer.allocUnsafe(length);
+                            filled = buffer.copy(partial, 0, start);
+                            break;
+                        }
+                        emitter.emit("data", buffer.subarray(start, start + length));
+                        start += length;
                     }
                 }
             }
@@ -96,38 +189,67 @@ function RfxCom(device, options) {
 
     self.readyCallback = null;
     self.on("ready", function() {
-        self.reset(function(err) {
-            if (err) {
-                self.close();
-                self.emit("disconnect", err);
-            } else {
-                self.delay(500);
-                self.flush(function (err) {
-                    if (err) {
-                        self.close();
-                        self.emit("disconnect", err);
-                    } else {
-                        self.receiving = true;
-                        self.getStatus(function (err) {
-                            if (err) {
-                                self.close();
-                                self.emit("disconnect", err);
-                            }
-                        });
-                    }
-                });
-            }
-        });
+        // Ignore a stale 'ready' if the connection has been closed meanwhile
+        if (self.connected) {
+            self._initialiseSequence();
+        }
     });
 
+    // Timeouts (in ms) for each step of the initialisation sequence. The reset step includes the
+    // 500ms the RFXtrx needs after a reset before it can be flushed
+    self.initialiseTimeouts = {
+        reset:     2000,
+        flush:     2000,
+        getStatus: 5000,
+        startRx:   5000
+    };
+    if (typeof self.options.initialiseTimeouts === "object") {
+        Object.keys(self.options.initialiseTimeouts).forEach(function (step) {
+            self.initialiseTimeouts[step] = self.options.initialiseTimeouts[step];
+        });
+    }
+    self.initialiseState = rfxcom.initialiseState.CLOSED;
+    self._readyTimer = null;
+    self._openCount = 0;
+
     // This is how long a caller must wait between initialisation attempts
     // It is long enough for the 'ready' event to have been emitted if the
     // previous call to initialise() succeeded
     self.initialiseWaitTime = 6000;
+
+    // Automatic reconnection (opt-in). The delay before each reconnection attempt starts at reconnectDelay
+    // and is multiplied by reconnectBackoff after each failed attempt, up to reconnectMaxDelay. It is never
+    // less than initialiseWaitTime
+    self.reconnect = self.options.reconnect === true;
+    self.reconnectDelay = self.options.reconnectDelay || self.initialiseWaitTime;
+    self.reconnectBackoff = self.options.reconnectBackoff || 2;
+    self.reconnectMaxDelay = self.options.reconnectMaxDelay || 60000;
+    self._reconnectAttempts = 0;
+    self._reconnectTimer = null;
+    // Settles a pending initialise() Promise with an error, if it is waiting for reconnection to complete
+    self._initialiseAbandoned = null;
+    // The protocols most recently enabled, to be re-enabled after reconnection
+    self._enabledProtocols = null;
+    // The most recent status response (to getStatus() or enable()), holding the receiver type & enabled protocols
+    self._lastStatus = null;
+    // The receiver type code (frequency mode) set by setFrequency(), kept by enable() & after reconnection
+    self._frequency = null;
+
+    // Protection for the RFXtrx non-volatile memory, which survives only about 10,000 writes. save() is skipped
+    // if the settings are the same as those last saved (or read at initialisation), and refused if less than
+    // saveMinInterval ms after the previous save. If saveCounterFile is set, the number of saves is kept in that
+    // file, and a 'savewarning' event emitted for each save once it reaches saveWarningCount
+    self.saveMinInterval = (typeof self.options.saveMinInterval === "number") ? self.options.saveMinInterval : 60000;
+    self.saveCounterFile = self.options.saveCounterFile || null;
+    self.saveWarningCount = self.options.saveWarningCount || 9000;
+    self._savedStatus = null;
+    self._lastSaveTime = null;
+
     // Initial state
     self.connected = false;
     self.initialising = false;
     self.receiving = false;
+    self.reconnecting = false;
 }
 
 util.inherits(RfxCom, EventEmitter);
@@ -140,49 +262,46 @@ RfxCom.prototype.debugLog = function (message) {
 };
 
 RfxCom.prototype.open = function () {
-    var self = this;
-    // If we weren't supplied a serialport in the constructor, create one
+    var self = this,
+        openCount = ++self._openCount,
+        listen = function (event, listener) {
+            // Ignore events left over from a previous open() - the transport object may be reused
+            self.serialport.on(event, function () {
+                if (openCount === self._openCount) {
+                    listener.apply(this, arguments);
+                }
+            });
+        };
+    self._setInitialiseState(rfxcom.initialiseState.OPENING);
+    // If we weren't supplied a serialport in the constructor, create a transport for the device (using the
+    // factory in options.transport, if there is one). The transport isn't opened until after the event
+    // handlers are installed
     if (typeof self.serialport === "undefined") {
-        // Delay opening the serialport until after the event handlers are installed
-        self.serialport = new SerialPort(self.device, {
-            baudrate: 38400,
-            parser: self.rfxtrxParser(),
-            autoOpen: false
-        });
+        if (typeof self.options.transport === "function") {
+            self.serialport = self.options.transport(self.device, self.rfxtrxParser());
+        } else {
+            self.serialport = transport.create(self.device, self.rfxtrxParser());
+        }
     }
     // If the RFXTRX has just been connected, we must wait for at least 5s before any
     // attempt to communicate with it, or it will enter the flash bootloader.
     // We can't know how long it has been connected, so we must always wait!
-    self.serialport.on("open", function () {
+    listen("open", function () {
         self.connected = true;
+        self._setInitialiseState(rfxcom.initialiseState.WAITING);
         self.emit("connecting");
-        setTimeout(function () { self.emit("ready") }, self.initialiseWaitTime - 500);
+        if (self._readyTimer !== null) {
+            clearTimeout(self._readyTimer);
+        }
+        self._readyTimer = setTimeout(function () {
+            self._readyTimer = null;
+            self.emit("ready");
+        }, self.initialiseWaitTime - 500);
     });
 
     // Add data read event listener
-    self.serialport.on("data", function(data) {
-        self.debugLog("Received: " + self.dumpHex(data));
-        self.emit("receive", data);
-
-        var length = data[0] + 1,
-            packetType = data[1],
-            handler = self.handlers[packetType];
-        // Avoid calling a handler with the wrong length packet
-        if (data.length !== length) {
-            self.debugLog("Wrong packet length: " + data.length + " bytes, should be " + length)
-        } else {
-            if (typeof handler !== "undefined") {
-                try {
-                    self[handler](data.slice(2));
-                } catch (e) {
-                    if (e instanceof Error) {
-                        self.debugLog("Packet type " + self.dumpHex([packetType]) + " handler threw exception " + e.name + ": " + e.message);
-                    }
-                }
-            } else {
-                self.debugLog("Unhandled packet type = " + self.dumpHex([packetType]));
-            }
-        }
+    listen("data", function(data) {
+        self.receivePacket(data);
     });
 
     var disconnectHandler = function(msg) {
@@ -191,27 +310,21 @@ RfxCom.prototype.open = function () {
         // destroy the existing serialport and emit our disconnect event so a host application can
         // attempt to reconnect (when the RFXtrx433 is plugged in again)
         self.debugLog(msg);
-        var wasConnected = self.connected;
-        self.close();
-        if (wasConnected) {
-            self.emit("disconnect", msg);
-        } else {
-            self.emit("connectfailed", msg);
-        }
+        self._connectionLost(msg);
     };
 
-    self.serialport.on("error", disconnectHandler);
+    listen("error", disconnectHandler);
     // On some platforms (Mac OS X 10.9), we get an error event when the port is disconnected
 
-    self.serialport.on("disconnect", disconnectHandler);
+    listen("disconnect", disconnectHandler);
     // On other plaftforms (Debian) we get a serialport disconnect event
 
-    self.serialport.on("end", function() {
+    listen("end", function() {
         self.debugLog("Received 'end'");
         self.emit("end");
     });
 
-    self.serialport.on("drain", function() {
+    listen("drain", function() {
         self.debugLog("Received 'drain'");
     });
 
@@ -220,45 +333,370 @@ RfxCom.prototype.open = function () {
     }
 };
 
+/*
+ * Returns true if a packet could start with the given length byte & packet type byte: the length must be in the
+ * valid range (4..36), and must not contradict the fixed length of a packet type the codec describes. The length
+ * of a packet type with no fixed length (or one we know nothing about) is trusted, so such packets are still
+ * emitted unchanged. If the packet type has not been received yet (is undefined) only the length is checked
+ */
+RfxCom.prototype._isPacketStart = function (length, packetType) {
+    var expected;
+    if (length < 4 || length > 36) {
+        return false;
+    } else if (packetType === undefined) {
+        return true;
+    }
+    expected = codec.packetLength(packetType);
+    return expected === undefined || expected === length;
+};
+
+/*
+ * Report bytes discarded by the parser while resynchronising
+ */
+RfxCom.prototype._resync = function (discarded) {
+    var self = this;
+    discarded = Array.prototype.slice.call(discarded);
+    self.debugLog("Lost synchronisation, discarded: " + self.dumpHex(discarded));
+    self.emit("resync", discarded);
+};
+
+/*
+ * Handle a complete packet received from the RFXtrx: emit "receive", then pass it to the handler for
+ * its packet type. The packet is a Buffer (or an array of bytes), which the handlers decode in place.
+ * Also used to replay recorded packets (see replay.js)
+ */
+RfxCom.prototype.receivePacket = function (data) {
+    var self = this;
+    if (self.options.debug) {
+        self.debugLog("Received: " + self.dumpHex(data));
+    }
+    self.emit("receive", data);
+
+    var length = data[0] + 1,
+        packetType = data[1],
+        handler = self.handlers[packetType];
+    // Avoid calling a handler with the wrong length packet
+    if (data.length !== length) {
+        self.debugLog("Wrong packet length: " + data.length + " bytes, should be " + length)
+    } else {
+        if (typeof handler !== "undefined") {
+            try {
+                self[handler](Buffer.isBuffer(data) ? data.subarray(2) : data.slice(2));
+            } catch (e) {
+                if (e instanceof Error) {
+                    self.debugLog("Packet type " + self.dumpHex([packetType]) + " handler threw exception " + e.name + ": " + e.message);
+                }
+            }
+        } else {
+            self.debugLog("Unhandled packet type = " + self.dumpHex([packetType]));
+        }
+    }
+};
+
 RfxCom.prototype.close = function () {
     var self = this;
 
-    // Cancel all messages in the queue
+    // Closing the connection deliberately stops any reconnection
+    if (self._reconnectTimer !== null) {
+        clearTimeout(self._reconnectTimer);
+        self._reconnectTimer = null;
+    }
+    self.reconnecting = false;
+    self._closePort("Connection closed", false);
+    if (self._initialiseAbandoned !== null) {
+        self._initialiseAbandoned(new errors.RfxComError("Connection closed"));
+    }
+};
+
+/*
+ * Close the transport. Commands still waiting for a response from the RFXtrx fail with the given message.
+ * Commands waiting in the transmit queue also fail, unless keepQueue is true: in that case they are held
+ * (with the queue stopped) for transmission once the connection is restored.
+ */
+RfxCom.prototype._closePort = function (message, keepQueue) {
+    var self = this,
+        queued = self.TxQ.jobs.slice();
+
+    if (!keepQueue) {
+        queued.forEach(function (transmission) {
+            transmission.completion.settle(new errors.RfxComError(message, transmission.seqnbr),
+                undefined, transmission.seqnbr);
+        });
+    }
     self.TxQ.end();
-    self.debugLog("Cleared command message queue");
-    if (self.serialport && self.serialport.fd && typeof self.serialport.close === "function") {
+    for (var seqnbr = 0; seqnbr < self.acknowledge.length; seqnbr++) {
+        self._acknowledge(seqnbr, new errors.RfxComError(message, seqnbr));
+    }
+    if (keepQueue) {
+        self.TxQ.push.apply(self.TxQ, queued);
+        self.debugLog("Stopped command message queue");
+    } else {
+        self.debugLog("Cleared command message queue");
+    }
+    if (self._readyTimer !== null) {
+        clearTimeout(self._readyTimer);
+        self._readyTimer = null;
+    }
+    if (self.serialport && typeof self.serialport.close === "function") {
         self.serialport.close();
     }
     self.serialport = undefined;
     self.connected = false;
     self.initialising = false;
     self.receiving = false;
+    self._setInitialiseState(rfxcom.initialiseState.CLOSED);
+};
+
+/*
+ * Record the new state of the initialisation sequence, and emit an "initialisestate" event
+ */
+RfxCom.prototype._setInitialiseState = function (state) {
+    var self = this,
+        previous = self.initialiseState;
+    if (state !== previous) {
+        self.initialiseState = state;
+        self.debugLog("Initialise: " + previous + " -> " + state);
+        self.emit("initialisestate", state, previous);
+    }
+};
+
+/*
+ * Run the initialisation sequence reset -> flush -> getStatus -> startRx, once the RFXtrx is ready
+ * to communicate. Each step is started in turn when the previous step completes, and must itself
+ * complete within its timeout from initialiseTimeouts. If any step fails, the connection is closed
+ * and "disconnect" is emitted with an InitialiseError, identifying the step which failed.
+ * If the connection is closed while the sequence is running, the sequence is abandoned.
+ */
+RfxCom.prototype._initialiseSequence = function () {
+    var self = this,
+        serialport = self.serialport,
+        states = rfxcom.initialiseState,
+        steps = [
+            {
+                state: states.RESET,
+                timeout: self.initialiseTimeouts.reset,
+                action: function (next) {
+                    self.reset(function (err) {
+                        if (err) {
+                            next(err);
+                        } else {
+                            // Give the RFXtrx time to reset before flushing
+                            setTimeout(next, 500);
+                        }
+                    });
+                }
+            },
+            {
+                state: states.FLUSH,
+                timeout: self.initialiseTimeouts.flush,
+                action: function (next) {
+                    self.flush(next);
+                }
+            },
+            {
+                state: states.GET_STATUS,
+                timeout: self.initialiseTimeouts.getStatus,
+                action: function (next) {
+                    self.receiving = true;
+                    self.getStatus(function (err, status) {
+                        // Following a reset, the settings are those held in non-volatile memory
+                        if (!err) {
+                            self._savedStatus = status;
+                        }
+                        next(err);
+                    });
+                }
+            },
+            {
+                state: states.START_RX,
+                timeout: self.initialiseTimeouts.startRx,
+                action: function (next) {
+                    self.startRx(next);
+                }
+            }
+        ],
+        runStep = function (index) {
+            var step = steps[index],
+                finished = false,
+                timer,
+                next = function (err) {
+                    if (finished) {
+                        return;
+                    }
+                    finished = true;
+                    clearTimeout(timer);
+                    // Abandon the sequence if the connection has been closed (or reopened) meanwhile
+                    if (self.serialport !== serialport || self.initialiseState !== step.state) {
+                        return;
+                    }
+                    if (err) {
+                        self.debugLog("Error   : Initialisation failed at step '" + step.state + "'");
+                        self._connectionLost(new errors.InitialiseError(err.message || String(err), step.state));
+                    } else if (index + 1 < steps.length) {
+                        runStep(index + 1);
+                    } else {
+                        self._setInitialiseState(states.READY);
+                        self.initialising = false;
+                        // When reconnecting, the queue is started once the protocols have been re-enabled
+                        if (!self.reconnecting) {
+                            self.TxQ.start();
+                            self.debugLog("Started command message queue");
+                        }
+                        if (typeof self.readyCallback === "function") {
+                            self.readyCallback();
+                        }
+                    }
+                };
+            self._setInitialiseState(step.state);
+            timer = setTimeout(function () {
+                next(new errors.TimeoutError("Timed out after " + step.timeout + "ms"));
+            }, step.timeout);
+            step.action(next);
+        };
+
+    runStep(0);
+};
+
+/*
+ * Called when the connection to the RFXtrx fails, or is lost. Emits "disconnect" or "connectfailed" as
+ * appropriate, then if reconnection is enabled, schedules the next reconnection attempt
+ */
+RfxCom.prototype._connectionLost = function (msg) {
+    var self = this,
+        wasConnected = self.connected;
+
+    if (self.reconnect) {
+        self.reconnecting = true;
+    }
+    self._closePort("Connection lost", self.reconnecting);
+    if (wasConnected) {
+        self.emit("disconnect", msg);
+    } else {
+        self.emit("connectfailed", msg);
+    }
+    if (self.reconnecting && self._reconnectTimer === null) {
+        self._scheduleReconnect();
+    }
+};
+
+/*
+ * Wait for the current backoff delay, then attempt to reconnect. Emits "reconnecting" with the
+ * attempt number & delay in ms, and "reconnected" once the RFXtrx is ready again
+ */
+RfxCom.prototype._scheduleReconnect = function () {
+    var self = this,
+        delay = Math.min(self.reconnectDelay*Math.pow(self.reconnectBackoff, self._reconnectAttempts),
+                         self.reconnectMaxDelay);
+
+    delay = Math.max(delay, self.initialiseWaitTime);
+    self._reconnectAttempts++;
+    self.debugLog("Reconnect attempt " + self._reconnectAttempts + " in " + delay + "ms");
+    self._reconnectTimer = setTimeout(function () {
+        self._reconnectTimer = null;
+        self.initialise(function () {
+            var reconnected = function () {
+                self._reconnectAttempts = 0;
+                self.reconnecting = false;
+                self.TxQ.start();
+                self.debugLog("Reconnected, started command message queue");
+                self.emit("reconnected");
+            };
+            if (self._enabledProtocols !== null) {
+                self.enable(self._enabledProtocols, function (err) {
+                    // If the connection was lost again, another attempt has been scheduled
+                    if (!self.connected) {
+                        return;
+                    }
+                    if (err) {
+                        self.debugLog("Error   : Failed to re-enable protocols after reconnection");
+                    }
+                    reconnected();
+                });
+            } else {
+                reconnected();
+            }
+        });
+    }, delay);
+    self.emit("reconnecting", self._reconnectAttempts, delay);
 };
 
 RfxCom.prototype.messageHandler = function (data) {
     var self = this,
-        seqnbr = data[1],
-        responses = {
-            0: "ACK - transmit OK",
-            1: "ACK - transmit delayed",
-            2: "NAK - transmitter did not lock onto frequency",
-            3: "NAK - AC address not allowed"
-        },
-        message = data[2];
-    if (self.acknowledge[seqnbr] !== undefined && typeof self.acknowledge[seqnbr] === "function") {
-        self.acknowledge[seqnbr]();
+        response = codec.decodeData(0x02, data),
+        seqnbr = response.seqnbr,
+        message = response.responseCode;
+    self.debugLog("Response: Command message " + self.dumpHex([seqnbr]) + ", " + response.message);
+    if (message === rfxcom.responseCode.OK || message === rfxcom.responseCode.TX_DELAYED) {
+        self._acknowledge(seqnbr, null, {message: response.message, seqnbr: seqnbr, responseCode: message});
+    } else {
+        self._acknowledge(seqnbr, new errors.ResponseError(response.message, seqnbr, message));
+    }
+    self.emit("response", response.message, seqnbr, message);
+};
+
+/*
+ * Calls (and removes) the acknowledgement callback for the command message with the given
+ * sequence number, if there is one
+ */
+RfxCom.prototype._acknowledge = function (seqnbr, err, response) {
+    var self = this,
+        acknowledge = self.acknowledge[seqnbr];
+    if (typeof acknowledge === "function") {
         self.acknowledge[seqnbr] = null;
+        acknowledge(err, response);
     }
-    self.debugLog("Response: Command message " + self.dumpHex([seqnbr]) + ", " + responses[message]);
-    self.emit("response", responses[message], seqnbr, message);
 };
 
+/*
+ * Opens the connection to the RFXtrx & initialises it. Calls the callback (if supplied) once the
+ * RFXtrx is ready to receive. If no callback is supplied, returns a Promise which resolves when the
+ * RFXtrx is ready, or rejects if the connection fails or is lost during initialisation. With automatic
+ * reconnection, a failure does not settle the Promise: it resolves once reconnected, or rejects if the
+ * connection is closed meanwhile.
+ */
 RfxCom.prototype.initialise = function (callback) {
-    var self = this;
+    var self = this,
+        done = null,
+        onFailure, finish;
+
+    if (typeof callback !== "function") {
+        done = completion();
+    }
     if (self.initialising === false) {
         self.initialising = true;
-        self.readyCallback = callback || null;
+        if (done === null) {
+            self.readyCallback = callback;
+        } else {
+            finish = function (err) {
+                self.removeListener("connectfailed", onFailure);
+                self.removeListener("disconnect", onFailure);
+                self.removeListener("reconnected", finish);
+                if (self._initialiseAbandoned === finish) {
+                    self._initialiseAbandoned = null;
+                }
+                done.settle(err || null);
+            };
+            onFailure = function (err) {
+                if (self.reconnecting) {
+                    // Wait for the outcome of reconnection
+                    self._initialiseAbandoned = finish;
+                } else {
+                    finish(err instanceof Error ? err : new errors.RfxComError(String(err)));
+                }
+            };
+            self.on("connectfailed", onFailure);
+            self.on("disconnect", onFailure);
+            self.on("reconnected", finish);
+            self.readyCallback = function () {
+                finish(null);
+            };
+        }
         self.open();
+    } else if (done !== null) {
+        done.settle(new errors.RfxComError("Initialisation already in progress"));
+    }
+    if (done !== null) {
+        return done.promise;
     }
 };
 
@@ -271,120 +709,59 @@ RfxCom.prototype.initialise = function (callback) {
  */
 RfxCom.prototype.statusHandler = function (data) {
     var self = this,
-        receiverTypes = {
-            0x50: "310MHz",
-            0x51: "315MHz",
-            0x52: "433.92MHz receiver only",
-            0x53: "433.92MHz transceiver",
-            0x55: "868.00MHz",
-            0x56: "868.00MHz FSK",
-            0x57: "868.30MHz",
-            0x58: "868.30MHz FSK",
-            0x59: "868.35MHz",
-            0x5A: "868.35MHz FSK",
-            0x5B: "868.95MHz"
-        },
-        firmwareTypes = ["Type 1 RO", "Type 1", "Type 2", "Ext", "Ext 2"],
-        subtype = data[0],
-        seqnbr = data[1],
-        cmnd = data[2],
-        msg, receiverType, hardwareVersion, firmwareVersion, firmwareType, protocols,
-        copyrightText;
+        evt = codec.decodeData(0x01, data),
+        subtype = evt.subtype,
+        seqnbr = evt.seqnbr,
+        status;
 
     if (subtype === 0xFF) {         // Message not understood!
-        if (self.acknowledge[seqnbr] !== undefined && typeof self.acknowledge[seqnbr] === "function") {
-            self.acknowledge[seqnbr]();
-            self.acknowledge[seqnbr] = null;
-        }
         // Handle early firmware versions that don't understand command 0x07 - "start receiver"
-        if (self.initialising) {
-            self.initialising = false;
-            self.TxQ.start();
-            self.debugLog("Started command message queue");
+        if (self.initialiseState === rfxcom.initialiseState.START_RX) {
+            self._acknowledge(seqnbr, null);
         } else {
             self.debugLog("Response: Command message " + self.dumpHex([seqnbr]) +
                 ", command unknown or not supported by this device");
+            self._acknowledge(seqnbr, new errors.ResponseError("Command unknown or not supported by this device",
+                seqnbr, rfxcom.responseCode.UNKNOWN_COMMAND));
             self.emit("response", "Command unknown or not supported by this device", seqnbr, rfxcom.responseCode.UNKNOWN_COMMAND);
         }
     } else if (subtype === 0x07) {  // Start receiver response (should return copyright message)
-        copyrightText = String.fromCharCode.apply(String, data.slice(3, 19));
-        if (copyrightText === "Copyright RFXCOM") {
-            self.debugLog(copyrightText);
-            self.initialising = false;
-            self.TxQ.start();
-            self.debugLog("Started command message queue");
+        if (evt.copyright === "Copyright RFXCOM") {
+            self.debugLog(evt.copyright);
+            self._acknowledge(seqnbr, null, evt.copyright);
         } else {
-            throw new Error("[rfxcom] on " + self.device + " - Invalid response '" + copyrightText +"'");
+            self._acknowledge(seqnbr, new errors.RfxComError("Invalid response '" + evt.copyright + "'", seqnbr));
+            throw new Error("[rfxcom] on " + self.device + " - Invalid response '" + evt.copyright +"'");
         }
     } else if (subtype === 0x04 || subtype === 0x03) {  // Handle RFY/ASA list remotes status response
-        var params = {
-            remoteNumber: data[3],
-            remoteType: subtype === 0x03 ? "RFY" : "ASA",
-            deviceId: "0x" + self.dumpHex(data.slice(4, 7)).join("") + "/" + data[7],
-            idBytes: [data[4], data[5], data[6]],
-            unitCode: data[7]
-        };
-        self.rfyRemotesList.push(params);
+        self.rfyRemotesList.push({
+            remoteNumber: evt.remoteNumber,
+            remoteType: evt.remoteType,
+            deviceId: evt.deviceId,
+            idBytes: evt.idBytes,
+            unitCode: evt.unitCode
+        });
     } else if (subtype === 0x01) {  // Unknown RFY remote
-        if (self.acknowledge[seqnbr] !== undefined && typeof self.acknowledge[seqnbr] === "function") {
-            self.acknowledge[seqnbr]();
-            self.acknowledge[seqnbr] = null;
-        }
+        self._acknowledge(seqnbr, new errors.ResponseError("Unknown RFY remote ID", seqnbr,
+            rfxcom.responseCode.UNKNOWN_REMOTE_ID));
         self.debugLog("Response: Command message " + self.dumpHex([seqnbr]) + ", unknown RFY remote ID");
         self.emit("response", "Unknown RFY remote ID", seqnbr, rfxcom.responseCode.UNKNOWN_REMOTE_ID);
     } else if (subtype === 0x00) {  // Mode command response
-        // Firmware version decoding supplied by Bert Weijenberg
-        if (data.length > 12) {
-            msg = data.slice(2, 19);
-            firmwareVersion = msg[2] + 1000;
-            firmwareType = msg[10];
-        } else {
-            msg = data.slice(2, 12);
-            firmwareVersion = msg[2];
-            if (msg[1] === 0x52 && firmwareVersion < 162) {
-                firmwareType = 0;
-            } else if (msg[1] === 0x53 && firmwareVersion < 162) {
-                firmwareType = 1;
-            } else if (msg[1] === 0x53 && firmwareVersion >= 162 && firmwareVersion < 225) {
-                firmwareType = 2;
-            } else {
-                firmwareType = 3;
-            }
-        }
-        receiverType = receiverTypes[msg[1]];
-        hardwareVersion = msg[7] + "." + msg[8];
-        // Check which protocols are enabled
-        protocols = [];
-        for (var key in rfxcom.protocols) {
-            if (rfxcom.protocols.hasOwnProperty(key)) {
-                var value = rfxcom.protocols[key];
-                if (msg[value.msg] & value.bit) {
-                    protocols.push(key);
-                }
-            }
-        }
         // Now we are ready to go
-        self.emit("status", {
+        status = {
             subtype:          subtype,
             seqnbr:           seqnbr,
-            cmnd:             cmnd,
-            receiverType:     receiverType,
-            hardwareVersion:  hardwareVersion,
-            firmwareVersion:  firmwareVersion,
-            firmwareType:     firmwareTypes[firmwareType],
-            enabledProtocols: protocols
-        });
-        // Send the start receiver command
-        self.startRx(function (err) {
-            if (err) {
-                self.close();
-                self.emit("disconnect", err);
-            } else {
-                if (typeof self.readyCallback === "function") {
-                    self.readyCallback();
-                }
-            }
-        });
+            cmnd:             evt.cmnd,
+            receiverTypeCode: evt.receiverTypeCode,
+            receiverType:     evt.receiverType,
+            hardwareVersion:  evt.hardwareVersion,
+            firmwareVersion:  evt.firmwareVersion,
+            firmwareType:     evt.firmwareType,
+            enabledProtocols: evt.enabledProtocols
+        };
+        self._lastStatus = status;
+        self._acknowledge(seqnbr, null, status);
+        self.emit("status", status);
     }
 };
 
@@ -405,43 +782,89 @@ RfxCom.prototype.getSequenceNumber = function () {
 
 /*
  * Send bytes to the serialport - called either directly from sendMessage or from the transmit queue job
- * Log the transmitted bytes to console if debug enabled
+ * Log the transmitted bytes to console if debug enabled. If there is no open port, the callback is called
+ * at once with a "Not connected" RfxComError
  */
 RfxCom.prototype.transmit = function (buffer, seqnbr, callback) {
     var self = this;
     if (self.serialport && typeof self.serialport.write === "function") {
+        self.emit("transmit", buffer);
         self.serialport.write(buffer, function (err, response) {
             self.debugLog("Sent    : " + self.dumpHex(buffer));
             if (callback && typeof callback === "function") {
                 return callback(err, response, seqnbr);
             }
         });
+    } else {
+        self.debugLog("Error   : Not connected, discarded: " + self.dumpHex(buffer));
+        if (callback && typeof callback === "function") {
+            return callback(new errors.RfxComError("Not connected", seqnbr), undefined, seqnbr);
+        }
     }
 };
 
 /*
- * External function for queueing messages for later transmission
+ * Return true if the connected RFXtrx can transmit the given packet type & subtype, according to the
+ * capability table in capabilities.js and the most recent status. Until the status is known (which it
+ * is once initialise() has completed) every command is assumed to be supported
  */
-RfxCom.prototype.queueMessage = function (sender, buffer, seqnbr, callback) {
-    var self = this;
+RfxCom.prototype.supports = function (packetType, subtype) {
+    return capabilities.supports(this._lastStatus, packetType, subtype);
+};
 
-    if (self.connected) {
+/*
+ * Returns a command completion (see completion() above), for transmitters whose commands can fail without
+ * queueing a message
+ */
+RfxCom.prototype._completion = function (callback) {
+    return completion(callback);
+};
+
+/*
+ * External function for queueing messages for later transmission. The command completes when the
+ * RFXtrx sends the response message with the matching sequence number: OK & TX_DELAYED are success,
+ * anything else (including no response at all) is an RfxComError. A command the connected RFXtrx cannot
+ * transmit (see supports()) fails at once with an UnsupportedError. If a callback is supplied, it is
+ * called with (err, response, seqnbr) and the sequence number of the queued message is returned.
+ * Otherwise returns a Promise which resolves with the response.
+ */
+RfxCom.prototype.queueMessage = function (sender, buffer, seqnbr, callback) {
+    var self = this,
+        done = completion(callback),
+        unsupported = capabilities.check(self._lastStatus, buffer[1], buffer[2]);
+
+    // Commands the RFXtrx cannot transmit are rejected up front.
+    // While reconnecting, commands are held in the (stopped) queue until the connection is restored
+    if (unsupported !== null) {
+        done.settle(new errors.UnsupportedError(unsupported, seqnbr, buffer[1], buffer[2]), undefined, seqnbr);
+    } else if (self.connected || self.reconnecting) {
         self.debugLog("Queued  : " + self.dumpHex(buffer));
         self.TxQ.push(function () {
                 var transmission = function (cb) {
-                    self.acknowledge[seqnbr] = cb;
-                    self.transmit(buffer, seqnbr, callback);
+                    self.acknowledge[seqnbr] = function (err, response) {
+                        done.settle(err, response, seqnbr);
+                        cb();
+                    };
+                    self.transmit(buffer, seqnbr, function (err) {
+                        if (err) {
+                            self._acknowledge(seqnbr, err);
+                        }
+                    });
                 };
                 transmission.buffer = buffer;
                 transmission.seqnbr = seqnbr;
                 transmission.sender = sender;
+                transmission.completion = done;
                 return transmission;
             }()
         );
-        if (self.initialising === false) {
+        if (self.connected && self.initialising === false && !self.reconnecting) {
             self.TxQ.start();
         }
+    } else {
+        done.settle(new errors.RfxComError("Not connected", seqnbr), undefined, seqnbr);
     }
+    return done.promise !== null ? done.promise : seqnbr;
 };
 
 /*
@@ -459,15 +882,47 @@ RfxCom.prototype.sendMessage = function (type, subtype, cmd, extra, callback) {
     return seqnbr;
 };
 
+/*
+ * Sends an interface control command message (packet type 0), bypassing the transmit queue. The command
+ * completes when the interface responds to it (or once the message is sent, if no response is expected).
+ * If a callback is supplied, it is called with (err, response, seqnbr) and the sequence number of the
+ * message is returned. Otherwise returns a Promise which resolves with the response.
+ */
+RfxCom.prototype._interfaceCommand = function (cmd, msg, callback, expectResponse) {
+    var self = this,
+        done = completion(callback),
+        timer, seqnbr;
+
+    seqnbr = self.sendMessage(0, 0, cmd, msg, function (err, response, seqnbr) {
+        if (err) {
+            self._acknowledge(seqnbr, err);
+            done.settle(err, undefined, seqnbr);
+        } else if (!expectResponse) {
+            done.settle(null, undefined, seqnbr);
+        }
+    });
+    if (expectResponse && !done.settled) {
+        timer = setTimeout(function () {
+            self._acknowledge(seqnbr, new errors.TimeoutError("Timed out waiting for response", seqnbr));
+        }, self.options.timeout || 10000);
+        self.acknowledge[seqnbr] = function (err, response) {
+            clearTimeout(timer);
+            done.settle(err, response, seqnbr);
+        };
+    }
+    return done.promise !== null ? done.promise : seqnbr;
+};
+
 
 /**
  *
- * Writes the reset sequence to the RFxtrx433.
+ * Writes the reset sequence to the RFxtrx433. The RFXtrx does not respond to a reset,
+ * so a returned Promise resolves as soon as the message is sent.
  *
  */
 RfxCom.prototype.reset = function (callback) {
     var self = this;
-    return self.sendMessage(0, 0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0], callback);
+    return self._interfaceCommand(0, [0, 0, 0, 0, 0, 0, 0, 0, 0], callback, false);
 };
 
 /**
@@ -477,30 +932,36 @@ RfxCom.prototype.reset = function (callback) {
  */
 RfxCom.prototype.flush = function (callback) {
     var self = this;
-    if (typeof self.serialport.flush === "function") {
+    if (self.serialport && typeof self.serialport.flush === "function") {
         self.serialport.flush(callback);
+    } else if (typeof callback === "function") {
+        callback();
     }
 };
 
 
 /*
- * Sends the getstatus bytes to the interface.
+ * Sends the getstatus bytes to the interface. A returned Promise resolves with the
+ * same object as the "status" event.
  */
 RfxCom.prototype.getStatus = function (callback) {
     var self = this;
-    return self.sendMessage(0, 0, 2, [0, 0, 0, 0, 0, 0, 0, 0, 0], callback);
+    return self._interfaceCommand(2, [0, 0, 0, 0, 0, 0, 0, 0, 0], callback, true);
 };
 
 /*
- * Sends the start receiver bytes to the interface.
+ * Sends the start receiver bytes to the interface. A returned Promise resolves with the
+ * copyright message.
  */
 RfxCom.prototype.startRx = function (callback) {
     var self = this;
-    return self.sendMessage(0, 0, 7, [0, 0, 0, 0, 0, 0, 0, 0, 0], callback);
+    return self._interfaceCommand(7, [0, 0, 0, 0, 0, 0, 0, 0, 0], callback, true);
 };
 
 /*
- * Enables reception of different protocols.
+ * Enables reception of different protocols, and disables all others. A returned Promise resolves with the
+ * interface status following the change. The receiver type (frequency) is kept as set by setFrequency(), or
+ * otherwise as reported by the most recent status response (or 433.92MHz transceiver, if there has not been one).
  */
 RfxCom.prototype.enable = function (protocols, callback) {
     var self = this,
@@ -509,7 +970,13 @@ RfxCom.prototype.enable = function (protocols, callback) {
     if (!(protocols instanceof Array)) {
         protocols = [protocols];
     }
+    self._enabledProtocols = protocols;
 
+    if (self._frequency !== null) {
+        msg[0] = self._frequency;
+    } else if (self._lastStatus !== null && typeof self._lastStatus.receiverTypeCode === "number") {
+        msg[0] = self._lastStatus.receiverTypeCode;
+    }
     protocols.forEach(function(protocol) {
         if (typeof msg[protocol.msg] === "undefined") {
             msg[protocol.msg - 1] = protocol.bit;
@@ -518,40 +985,286 @@ RfxCom.prototype.enable = function (protocols, callback) {
         }
     });
 
-    return self.sendMessage(0, 0, 0x03, msg, callback);
+    return self._interfaceCommand(0x03, msg, callback, true);
 };
 
+/*
+ * Enables reception of the given protocols (members of rfxcom.protocols, or their names), leaving the other
+ * enabled protocols unchanged. A returned Promise resolves with the interface status, re-read to confirm the
+ * change, or rejects with an RfxComError (whose status property is the re-read status) if the RFXtrx did not
+ * accept the change. If a callback is supplied, it is called with (err, status, seqnbr), and the sequence number
+ * of the first command message sent (or -1 if the change failed before anything was sent) is returned.
+ */
+RfxCom.prototype.enableProtocols = function (protocols, callback) {
+    var self = this;
+    return self._changeProtocols(protocols, function (enabled, names) {
+        return enabled.concat(names.filter(function (name) {
+            return enabled.indexOf(name) === -1;
+        }));
+    }, callback);
+};
 
 /*
- * Save the enabled protocols of the receiver/transceiver in non-volatile memory
- *
- * Important: Do not send the save command very often because there is a 
- * maximum of 10,000 write cycles to non-volatile memory!
+ * Disables reception of the given protocols, leaving the other enabled protocols unchanged. Resolves or
+ * rejects like enableProtocols()
  */
-RfxCom.prototype.save = function (callback) {
+RfxCom.prototype.disableProtocols = function (protocols, callback) {
+    var self = this;
+    return self._changeProtocols(protocols, function (enabled, names) {
+        return enabled.filter(function (name) {
+            return names.indexOf(name) === -1;
+        });
+    }, callback);
+};
+
+/*
+ * Enables reception of exactly the given protocols. Unlike enable(), the receiver type is read from the RFXtrx
+ * if there has been no status response yet. Resolves or rejects like enableProtocols()
+ */
+RfxCom.prototype.setProtocols = function (protocols, callback) {
+    var self = this;
+    return self._changeProtocols(protocols, function (enabled, names) {
+        return names;
+    }, callback);
+};
+
+/*
+ * Calls the named command method with a callback, returning a Promise for its response. The sequence number
+ * of the command message is passed to sent(), before this returns
+ */
+function send(self, method, args, sent) {
+    return new Promise(function (resolve, reject) {
+        sent(self[method].apply(self, args.concat(function (err, response) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(response);
+            }
+        })));
+    });
+}
+
+/*
+ * Read-modify-write the enabled protocols. change(enabled, names) returns the names of the protocols to
+ * enable, given the names of those currently enabled & of the protocols supplied by the caller. If a callback
+ * is supplied, returns (and passes to the callback) the sequence number of the first command message sent,
+ * or -1 if the change failed before anything was sent
+ */
+RfxCom.prototype._changeProtocols = function (protocols, change, callback) {
     var self = this,
-        msg = [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00];
+        done = completion(callback),
+        first = -1,
+        sent = function (seqnbr) {
+            if (first === -1) {
+                first = seqnbr;
+            }
+        },
+        names, required, apply;
 
-    return self.sendMessage(0, 0, 0x06, msg, callback);
+    if (!(protocols instanceof Array)) {
+        protocols = [protocols];
+    }
+    names = protocols.map(function (protocol) {
+        return (typeof protocol === "string") ? protocol : Object.keys(rfxcom.protocols).filter(function (name) {
+            return rfxcom.protocols[name] === protocol;
+        })[0];
+    });
+    names.forEach(function (name, index) {
+        if (!rfxcom.protocols.hasOwnProperty(name)) {
+            done.settle(new errors.RfxComError("Unknown protocol " + protocols[index]));
+        }
+    });
+    if (done.settled) {
+        return done.promise !== null ? done.promise : first;
+    }
+    apply = function (status) {
+        var valid = rfxcom.frequencyProtocols[status.receiverTypeCode],
+            invalid;
+        required = change(status.enabledProtocols, names);
+        invalid = required.filter(function (name) {
+            return valid !== undefined && valid.indexOf(name) === -1 && status.enabledProtocols.indexOf(name) === -1;
+        });
+        if (invalid.length > 0) {
+            throw new errors.RfxComError("Protocols " + invalid.join(", ") + " cannot be received by a " +
+                status.receiverType + " receiver");
+        }
+        return send(self, "enable", [required.map(function (name) {
+            return rfxcom.protocols[name];
+        })], sent);
+    };
+    // Change the most recent status, or read it if there isn't one. The first command is sent before returning
+    new Promise(function (resolve) {
+        resolve(self._lastStatus !== null ? apply(self._lastStatus) : send(self, "getStatus", [], sent).then(apply));
+    }).then(function () {
+        return send(self, "getStatus", [], sent);
+    }).then(function (status) {
+        var mismatched = Object.keys(rfxcom.protocols).filter(function (name) {
+                return (required.indexOf(name) === -1) !== (status.enabledProtocols.indexOf(name) === -1);
+            }),
+            err;
+        if (mismatched.length > 0) {
+            err = new errors.RfxComError("The RFXtrx did not accept the change to protocols " + mismatched.join(", "));
+            err.status = status;
+            done.settle(err, undefined, first);
+        } else {
+            done.settle(null, status, first);
+        }
+    }).catch(function (err) {
+        done.settle(err, undefined, first);
+    });
+    return done.promise !== null ? done.promise : first;
 };
 
+/*
+ * Returns the hardware a receiver type code belongs to: the RFXtrx868 can be switched between all the 868MHz
+ * receiver types, other hardware only has the one
+ */
+function frequencyHardware(receiverTypeCode) {
+    return (receiverTypeCode >= 0x55 && receiverTypeCode <= 0x5B) ? 0x55 : receiverTypeCode;
+}
 
-/**
- *
- * Wait for at least the specified number of milliseconds.
- *
- * This may not wait precisely for that number of milliseconds due to the
- * vagaries of system scheduling, but no fewer than the specified ms.
- *
+/*
+ * Sets the receiver/transceiver frequency mode: one of rfxcom.frequency (or its name). The frequency must be
+ * one the hardware reported in the most recent status (read from the RFXtrx if necessary) supports, so only
+ * the RFXtrx868 can be switched between frequencies. Enabled protocols which cannot be received at the new
+ * frequency (see rfxcom.frequencyProtocols) are disabled. A returned Promise resolves with the interface
+ * status, re-read to confirm the change, or rejects with an RfxComError (whose status property is the re-read
+ * status) if the RFXtrx did not accept it. The frequency is not saved unless save() is called. If a callback
+ * is supplied, the sequence number is returned as for enableProtocols()
+ */
+RfxCom.prototype.setFrequency = function (frequency, callback) {
+    var self = this,
+        done = completion(callback),
+        code = (typeof frequency === "string") ? rfxcom.frequency[frequency] : frequency,
+        valid = rfxcom.frequencyProtocols[code],
+        previous = self._frequency,
+        first = -1,
+        sent = function (seqnbr) {
+            if (first === -1) {
+                first = seqnbr;
+            }
+        },
+        apply;
+
+    if (valid === undefined) {
+        done.settle(new errors.RfxComError("Unknown frequency " + frequency), undefined, first);
+        return done.promise !== null ? done.promise : first;
+    }
+    apply = function (status) {
+        if (frequencyHardware(status.receiverTypeCode) !== frequencyHardware(code)) {
+            throw new errors.RfxComError("A " + status.receiverType + " RFXtrx cannot be set to " +
+                codec.receiverTypes[code]);
+        }
+        self._frequency = code;
+        return send(self, "enable", [status.enabledProtocols.filter(function (name) {
+            return valid.indexOf(name) !== -1;
+        }).map(function (name) {
+            return rfxcom.protocols[name];
+        })], sent);
+    };
+    new Promise(function (resolve) {
+        resolve(self._lastStatus !== null ? apply(self._lastStatus) : send(self, "getStatus", [], sent).then(apply));
+    }).then(function () {
+        return send(self, "getStatus", [], sent);
+    }).then(function (status) {
+        var err;
+        if (status.receiverTypeCode !== code) {
+            self._frequency = previous;
+            err = new errors.RfxComError("The RFXtrx did not accept the change to " + codec.receiverTypes[code]);
+            err.status = status;
+            done.settle(err, undefined, first);
+        } else {
+            done.settle(null, status, first);
+        }
+    }).catch(function (err) {
+        self._frequency = previous;
+        done.settle(err, undefined, first);
+    });
+    return done.promise !== null ? done.promise : first;
+};
+
+/*
+ * Enables reception of undecoded packets (emitted as "undecoded" events), leaving the enabled protocols
+ * unchanged. Resolves or rejects like enableProtocols()
+ */
+RfxCom.prototype.enableUndecoded = function (callback) {
+    var self = this;
+    return self.enableProtocols(rfxcom.protocols.UNDECODED, callback);
+};
+
+/*
+ * Save the enabled protocols of the receiver/transceiver in non-volatile memory. A returned Promise
+ * resolves with the interface status.
+ *
+ * Important: Do not send the save command very often because there is a
+ * maximum of 10,000 write cycles to non-volatile memory! The save is skipped
+ * (resolving with the most recent status) if the receiver type & enabled
+ * protocols have not changed since they were last saved, and rejected if it
+ * is too soon after the previous save (see saveMinInterval). If a callback is supplied, returns the sequence
+ * number of the save command message, or -1 if it was skipped or refused
+ */
+RfxCom.prototype.save = function (callback) {
+    var self = this,
+        msg = [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+        done = completion(callback),
+        now = Date.now(),
+        seqnbr = -1;
+
+    if (self._savedStatus !== null && self._lastStatus !== null &&
+        self._savedStatus.receiverTypeCode === self._lastStatus.receiverTypeCode &&
+        self._savedStatus.enabledProtocols.join() === self._lastStatus.enabledProtocols.join()) {
+        self.debugLog("Save skipped, settings unchanged since last saved");
+        done.settle(null, self._lastStatus, seqnbr);
+    } else if (self._lastSaveTime !== null && now - self._lastSaveTime < self.saveMinInterval) {
+        done.settle(new errors.RfxComError("Save refused, less than " + self.saveMinInterval +
+            "ms since the previous save"), undefined, seqnbr);
+    } else {
+        seqnbr = self._interfaceCommand(0x06, msg, function (err, status, seqnbr) {
+            // Only a successful save counts towards the wear protection
+            if (!err) {
+                self._lastSaveTime = now;
+                self._savedStatus = status;
+                self._countSave();
+            }
+            done.settle(err, status, seqnbr);
+        }, true);
+    }
+    return done.promise !== null ? done.promise : seqnbr;
+};
+
+/*
+ * Increment the save counter held in saveCounterFile (if set), emitting a 'savewarning' event with the
+ * count once it reaches saveWarningCount. A counter file which can't be read is treated as a count of zero
  */
-// TODO - find out why this is a busy wait
-RfxCom.prototype.delay = function (ms) {
-    ms += +new Date();
-    while (+new Date() < ms) {
-        // Do nothing...
+RfxCom.prototype._countSave = function () {
+    var self = this;
+
+    if (self.saveCounterFile === null) {
+        return;
     }
+    fs.readFile(self.saveCounterFile, "utf8", function (err, text) {
+        var count = 0;
+        if (!err) {
+            try {
+                count = JSON.parse(text).saves || 0;
+            } catch (e) {
+                self.debugLog("Invalid save counter file " + self.saveCounterFile);
+            }
+        }
+        count++;
+        fs.writeFile(self.saveCounterFile, JSON.stringify({saves: count}) + "\n", function (err) {
+            if (err) {
+                self.debugLog("Unable to write save counter file " + self.saveCounterFile + ": " + err.message);
+            }
+        });
+        if (count >= self.saveWarningCount) {
+            self.debugLog("Warning : " + count + " saves to non-volatile memory, the limit is about 10,000");
+            self.emit("savewarning", count);
+        }
+    });
 };
 
+
 RfxCom.prototype.dumpHex = function (buffer, prefix) {
     prefix = prefix || "";
 
@@ -559,7 +1272,7 @@ RfxCom.prototype.dumpHex = function (buffer, prefix) {
         var hexDigits = "0123456789ABCDEF";
         return prefix + (hexDigits[value >> 4] + hexDigits[value & 15]);
     }
-    return buffer.map(dec2hex);
+    return Array.prototype.map.call(buffer, dec2hex);
 };
 
 /**
@@ -608,6 +1321,26 @@ RfxCom.prototype.stringToBytes = function (str, byteCount) {
 //          DATA PACKET HANDLERS
 //------------------------------------------
 
+/*
+ * Decode the packet data using the codec, and emit the event for the packet type & subtype
+ */
+RfxCom.prototype._emitPacket = function (packetType, data) {
+    var self = this;
+    self.emit(codec.eventName(packetType, data[0]), codec.decodeData(packetType, data));
+};
+
+/**
+ *
+ * Called by the data event handler when the RFXtrx forwards a packet it
+ * could not decode (packet type 0x03). Only received once enabled with
+ * enableUndecoded(), or enable() including the UNDECODED protocol.
+ *
+ */
+RfxCom.prototype.undecodedHandler = function (data) {
+    var self = this;
+    self._emitPacket(0x03, data);
+};
+
 /**
  *
  * Called by the data event handler when data arrives from a Lighting1
@@ -615,28 +1348,8 @@ RfxCom.prototype.stringToBytes = function (str, byteCount) {
  *
  */
 RfxCom.prototype.lighting1Handler = function (data) {
-    var self = this,
-        commands = {
-            0: "Off",
-            1: "On",
-            2: "Dim",
-            3: "Bright",
-            5: "All Off",
-            6: "All On",
-            7: "Chime"
-        },
-        evt = {
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""), // Redundant?
-            subtype: data[0],
-            seqnbr: data[1],
-            housecode: String.fromCharCode(data[2]).toUpperCase(),
-            unitcode: data[3],
-            commandNumber: data[4],
-            command: commands[data[4]] || "Unknown",
-            rssi: (data[5] >> 4) & 0xf
-        };
-
-    self.emit("lighting1", evt);
+    var self = this;
+    self._emitPacket(0x10, data);
 };
 
 /**
@@ -647,29 +1360,19 @@ RfxCom.prototype.lighting1Handler = function (data) {
  */
 RfxCom.prototype.lighting2Handler = function (data) {
     var self = this;
-    var commands, idBytes, evt;
-    commands = {
-        0: "Off",
-        1: "On",
-        2: "Set Level",
-        3: "Group Off",
-        4: "Group On",
-        5: "Set Group Level"
-    };
-    idBytes = data.slice(2, 6);
-    idBytes[0] &= ~0xfc; // "id1 : 2"
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        id: "0x" + self.dumpHex(idBytes, false).join(""),
-        unitcode: data[6],
-        commandNumber: data[7],
-        command: commands[data[7]] || "Unknown",
-        level: data[8],
-        rssi: (data[9] >> 4) & 0xf
-    };
+    self._emitPacket(0x11, data);
+};
 
-    self.emit("lighting2", evt);
+/**
+ *
+ * Called by the data event handler when data arrives from Ikea Koppla
+ * remotes (packet type 0x12). The channels property of the event lists
+ * the channels (1 - 10) the command was sent to.
+ *
+ */
+RfxCom.prototype.lighting3Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x12, data);
 };
 
 /**
@@ -681,17 +1384,7 @@ RfxCom.prototype.lighting2Handler = function (data) {
  */
 RfxCom.prototype.lighting4Handler = function (data) {
     var self = this;
-    var evt;
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        data: "0x" + self.dumpHex(data.slice(2, 5), false).join(""),
-        commandNumber: 0,
-        command: "Data",
-        pulseWidth: (256*data[5] + data[6]),
-        rssi: (data[7] >> 4) & 0xf
-    };
-    self.emit("lighting4", evt);
+    self._emitPacket(0x13, data);
 };
 
 /**
@@ -701,35 +1394,8 @@ RfxCom.prototype.lighting4Handler = function (data) {
  *
  */
 RfxCom.prototype.lighting5Handler = function (data) {
-    var self = this,
-        commands = {
-            0: "Off",
-            1: "On",
-            2: "Group Off",
-            3: "Mood1",
-            4: "Mood2",
-            5: "Mood3",
-            6: "Mood4",
-            7: "Mood5",
-            10: "Unlock Socket",
-            11: "Lock Socket",
-            12: "All Lock",
-            13: "Close",
-            14: "Stop",
-            15: "Open",
-            16: "Set Level"
-        },
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 5), false).join(""),
-            unitcode: data[5],
-            commandNumber: data[6],
-            command: commands[data[6]] || "Unknown",
-            seqnbr: data[1],
-            level: data[7],
-            rssi: (data[8] >> 4) & 0xf
-        };
-    self.emit("lighting5", evt);
+    var self = this;
+    self._emitPacket(0x14, data);
 };
 
 /**
@@ -740,24 +1406,7 @@ RfxCom.prototype.lighting5Handler = function (data) {
  */
 RfxCom.prototype.lighting6Handler = function (data) {
     var self = this;
-    var commands, evt;
-    commands = {
-        0: "On",
-        1: "Off",
-        2: "Group On",
-        3: "Group Off"
-    };
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        groupcode: String.fromCharCode(data[4]).toUpperCase(),
-        unitcode: data[5],
-        commandNumber: data[6],
-        command: commands[data[6]] || "Unknown",
-        rssi: (data[9] >> 4) & 0xf
-    };
-    self.emit("lighting6", evt);
+    self._emitPacket(0x15, data);
 };
 
 /**
@@ -768,34 +1417,30 @@ RfxCom.prototype.lighting6Handler = function (data) {
  */
 RfxCom.prototype.chime1Handler = function (data) {
     var self = this;
-    var commands, evt;
-    commands = {
-        1: "Tubular 3 notes",
-        13: "Tubular 3 notes",
-        3: "Big Ben",
-        14: "Big Ben",
-        5: "Tubular 2 notes",
-        6: "Tubular 2 notes",
-        9: "Solo",
-        2: "Solo"
-    };
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        rssi: (data[5] >> 4) & 0xf
-    };
-    if (evt.subtype === 0) {
-        evt.id = "0x" + self.dumpHex(data.slice(3, 4), false).join("");
-        evt.commandNumber = data[4];
-        evt.command = commands[data[4]];
-    } else if (evt.subtype === 1) {
-        evt.id = (data[2] & 0x40 ? "0" : "1") + (data[2] & 0x10 ? "0" : "1") +
-                 (data[2] & 0x04 ? "0" : "1") + (data[2] & 0x01 ? "0" : "1") +
-                 (data[3] & 0x40 ? "0" : "1") + (data[3] & 0x10 ? "0" : "1");
-    } else {
-        evt.id = "0x" + self.dumpHex(data.slice(2, 5), false).join("");
-    }
-    self.emit("chime1", evt);
+    self._emitPacket(0x16, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from Siemens & Lucci Air
+ * fan remotes (packet type 0x17)
+ *
+ */
+RfxCom.prototype.fan1Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x17, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from Harrison curtain
+ * remotes (packet type 0x18). The deviceId property of the event can be
+ * passed to the Curtain1 transmitter methods.
+ *
+ */
+RfxCom.prototype.curtain1Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x18, data);
 };
 
 /**
@@ -806,48 +1451,7 @@ RfxCom.prototype.chime1Handler = function (data) {
  */
 RfxCom.prototype.blinds1Handler = function (data) {
     var self = this;
-    var commands, evt, startpos;
-    commands = {
-        0:  "Open",
-        1:  "Close",
-        2:  "Stop",
-        3:  "Confirm",
-        4:  "Set limit",
-        5:  "Set lower limit",
-        6:  "Reverse",
-        7:  "Delete limits",
-        8:  "Left",
-        9:  "Right"
-    };
-    evt = {
-        subtype: data[0],
-        seqnbr:  data[1],
-        rssi:    (data[7] >> 4) & 0xf,
-        commandNumber: data[6],
-        command: commands[data[6]] || "Unknown"
-    };
-    if (evt.subtype === 0x04) {
-        if (evt.commandNumber === 7) {
-            evt.command = commands[6];
-        } else if (evt.commandNumber === 6) {
-            evt.command = commands[7];
-        }
-    }
-    startpos = 2;
-    if (evt.subtype === 0x00 || evt.subtype === 0x01) {
-        startpos = 3;
-        evt.unitcode = data[5];
-    } else if (evt.subtype === 0x03) {
-        if (data[5] === 15) {
-            evt.unitcode = 0;
-        } else {
-            evt.unitcode = data[5] + 1;
-        }
-    } else {
-        evt.unitcode = 1;
-    }
-    evt.id = "0x" + self.dumpHex(data.slice(startpos, 5), false).join("");
-    self.emit("blinds1", evt);
+    self._emitPacket(0x19, data);
 };
 
 /**
@@ -857,22 +1461,76 @@ RfxCom.prototype.blinds1Handler = function (data) {
  *
  */
 RfxCom.prototype.security1handler = function (data) {
-    var self = this,
-        subtype = data[0],
-        seqnbr = data[1],
-        id = "0x" + self.dumpHex(data.slice(2, 5), false).join(""),
-        deviceStatus = data[5] & ~0x80,
-        batterySignalLevel = data[6],
-        evt = {
-            subtype: subtype,
-            id: id,
-            seqnbr: seqnbr,
-            deviceStatus: deviceStatus,
-            batteryLevel: batterySignalLevel & 0x0f,
-            rssi: (batterySignalLevel >> 4) & 0xf,
-            tampered: data[5] & 0x80
-        };
-    self.emit("security1", evt);
+    var self = this;
+    self._emitPacket(0x20, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from KeeLoq remotes
+ * & gate openers (packet type 0x21). The buttons property of the event is
+ * a bitmask of the buttons pressed.
+ *
+ */
+RfxCom.prototype.security2Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x21, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from ATI, Medion &
+ * X10 PC remote controls (packet type 0x30). Reception must be enabled
+ * with the ATI protocol.
+ *
+ */
+RfxCom.prototype.remoteHandler = function (data) {
+    var self = this;
+    self._emitPacket(0x30, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from Brel & Dooya
+ * blinds remotes (packet type 0x31).
+ *
+ */
+RfxCom.prototype.blinds2Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x31, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from Digimax & TLX7506
+ * thermostats (packet type 0x40).
+ *
+ */
+RfxCom.prototype.thermostat1Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x40, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from HE105 & RTS10
+ * thermostats (packet type 0x41).
+ *
+ */
+RfxCom.prototype.thermostat2Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x41, data);
+};
+
+/**
+ *
+ * Called by the data event handler when data arrives from Mertik G6R gas
+ * fire remotes (packet type 0x42).
+ *
+ */
+RfxCom.prototype.thermostat3Handler = function (data) {
+    var self = this;
+    self._emitPacket(0x42, data);
 };
 
 /**
@@ -882,17 +1540,8 @@ RfxCom.prototype.security1handler = function (data) {
  *
  */
 RfxCom.prototype.bbq1handler = function (data) {
-        var self = this;
-        var evt;
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr: data[1],
-            temperature: [data[4]*256 + data[5], data[6]*256 + data[7]],
-            batteryLevel: data[8] & 0x0f,
-            rssi: (data[8] >> 4) & 0xf
-        };
-        self.emit("bbq1", evt);
+    var self = this;
+    self._emitPacket(0x4e, data);
 };
 
 /**
@@ -902,21 +1551,9 @@ RfxCom.prototype.bbq1handler = function (data) {
  *
  */
 RfxCom.prototype.temprain1handler = function (data) {
-        var self = this;
-        var temperature, signbit, evt;
-        temperature = ((data[4] & 0x7f) * 256 + data[5]) / 10;
-        signbit = data[4] & 0x80;
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr: data[1],
-            temperature: temperature * (signbit ? -1 : 1),
-            rainfall: (data[6] * 256 + data[7]) / 10,
-            batteryLevel: data[8] & 0x0f,
-            rssi: (data[8] >> 4) & 0xf
-        };
-        self.emit("temprain1", evt);
-    };
+    var self = this;
+    self._emitPacket(0x4f, data);
+};
 
 /**
  *
@@ -925,18 +1562,8 @@ RfxCom.prototype.temprain1handler = function (data) {
  *
  */
 RfxCom.prototype.temp19Handler = function (data) {
-    var self = this,
-        temperature = ((data[4] & 0x7f) * 256 + data[5]) / 10,
-        signbit = data[4] & 0x80,
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr: data[1],
-            temperature: temperature * (signbit ? -1 : 1),
-            batteryLevel: data[6] & 0x0f,
-            rssi: (data[6] >> 4) & 0xf
-        };
-    self.emit("temp" + data[0], evt);
+    var self = this;
+    self._emitPacket(0x50, data);
 };
 
 /**
@@ -947,17 +1574,7 @@ RfxCom.prototype.temp19Handler = function (data) {
  */
 RfxCom.prototype.humidity1Handler = function (data) {
     var self = this;
-    var evt;
-    evt = {
-        subtype: data[0],
-        id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        seqnbr: data[1],
-        humidity: data[4],
-        humidityStatus: data[5],
-        batteryLevel: data[6] & 0x0f,
-        rssi: (data[6] >> 4) & 0xf
-    };
-    self.emit("humidity1", evt);
+    self._emitPacket(0x51, data);
 };
 
 /**
@@ -967,21 +1584,8 @@ RfxCom.prototype.humidity1Handler = function (data) {
  *
  */
 RfxCom.prototype.temphumidity19Handler = function (data) {
-    var self = this,
-        temperature = ((data[4] & 0x7f) * 256 + data[5]) / 10,
-        signbit = data[4] & 0x80,
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr: data[1],
-            temperature: temperature * (signbit ? -1 : 1),
-            humidity: data[6],
-            humidityStatus: data[7],
-            batteryLevel: data[8] & 0x0f,
-            rssi: (data[8] >> 4) & 0xf
-        };
-
-    self.emit("th" + data[0], evt);
+    var self = this;
+    self._emitPacket(0x52, data);
 };
 
 /**
@@ -991,22 +1595,8 @@ RfxCom.prototype.temphumidity19Handler = function (data) {
  *
  */
 RfxCom.prototype.temphumbaro12Handler = function (data) {
-    var self = this,
-        temperature = ((data[4] & 0x7f)*256 + data[5])/10,
-        signbit = data[4] & 0x80,
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr: data[1],
-            temperature: temperature * (signbit ? -1 : 1),
-            humidity: data[6],
-            humidityStatus: data[7],
-            barometer: ((data[8] & 0x7f)*256 + data[9]),
-            forecast: data[10],
-            batteryLevel: data[11] & 0x0f,
-            rssi: (data[11] >> 4) & 0xf
-        };
-    self.emit("thb" + data[0], evt);
+    var self = this;
+    self._emitPacket(0x54, data);
 };
 
 /**
@@ -1016,27 +1606,9 @@ RfxCom.prototype.temphumbaro12Handler = function (data) {
  *
  */
 RfxCom.prototype.rain16Handler = function (data) {
-        var self = this;
-        var evt;
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr: data[1],
-            batteryLevel: data[9] & 0x0f,
-            rssi: (data[9] >> 4) & 0xf
-        };
-        if (data[0] === 6) {
-            evt.rainfallIncrement = (data[8] & 0x0f)*0.266;
-        } else {
-            evt.rainfall = ((data[6]*256 + data[7])*256 + data[8])/10;
-        }
-        if (data[0] === 1) {
-            evt.rainfallRate = data[4]*256 + data[5];
-        } else if (data[0] === 2) {
-            evt.rainfallRate = (data[4]*256 + data[5])/100;
-        }
-        self.emit("rain" + data[0], evt);
-    };
+    var self = this;
+    self._emitPacket(0x55, data);
+};
 
 /**
  *
@@ -1045,30 +1617,9 @@ RfxCom.prototype.rain16Handler = function (data) {
  *
  */
 RfxCom.prototype.wind16Handler = function (data) {
-        var self = this;
-        var temperature, signbit, chillFactor, evt;
-        evt = {
-            subtype:      data[0],
-            id:           "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr:       data[1],
-            direction:    data[4]*256 + data[5],
-            gustSpeed:    (data[8]*256 + data[9])/10,
-            batteryLevel: data[14] & 0x0f,
-            rssi:         (data[14] >> 4) & 0xf
-        };
-        if (data[0] !== 5) {
-            evt.averageSpeed = (data[6]*256 + data[7])/10;
-        }
-        if (data[0] === 4) {
-            temperature = ((data[10] & 0x7f)*256 + data[11])/10;
-            signbit = data[10] & 0x80;
-            evt.temperature = temperature*(signbit ? -1 : 1);
-            chillFactor = ((data[12] & 0x7f)*256 + data[13])/10;
-            signbit = data[12] & 0x80;
-            evt.chillfactor = chillFactor*(signbit ? -1 : 1);
-        }
-        self.emit("wind" + data[0], evt);
-    };
+    var self = this;
+    self._emitPacket(0x56, data);
+};
 
 /**
  *
@@ -1077,21 +1628,9 @@ RfxCom.prototype.wind16Handler = function (data) {
  *
  */
 RfxCom.prototype.uv13Handler = function (data) {
-        var self = this;
-        var temperature, signbit, evt;
-        temperature = ((data[5] & 0x7f)*256 + data[6])/10;
-        signbit = data[5] & 0x80;
-        evt = {
-            subtype: data[0],
-            id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-            seqnbr: data[1],
-            temperature: temperature * (signbit ? -1 : 1),
-            uv: data[4]/10,
-            batteryLevel: data[7] & 0x0f,
-            rssi: (data[7] >> 4) & 0xf
-        };
-        self.emit("uv" + data[0], evt);
-    };
+    var self = this;
+    self._emitPacket(0x57, data);
+};
 
 /**
  *
@@ -1101,17 +1640,7 @@ RfxCom.prototype.uv13Handler = function (data) {
  */
 RfxCom.prototype.elec1Handler = function (data) {
     var self = this;
-    var evt;
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        count: data[4],
-        current: [(data[5]*256 + data[6])/10, (data[7]*256 + data[8])/10, (data[9]*256 + data[10])/10],
-        batteryLevel: data[11] & 0x0f,
-        rssi: (data[11] >> 4) & 0xf
-    };
-    self.emit("elec1", evt);
+    self._emitPacket(0x59, data);
 };
 
 /**
@@ -1122,20 +1651,7 @@ RfxCom.prototype.elec1Handler = function (data) {
  */
 RfxCom.prototype.elec23Handler = function (data) {
     var self = this;
-    var evt;
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        count: data[4],
-        power: self.bytesToUint32(data.slice(5, 9)),            // units watts
-        batteryLevel: data[15] & 0x0f,
-        rssi: (data[15] >> 4) & 0xf
-    };
-    if (evt.subtype === 0x01 || (evt.subtype === 0x02 && evt.count === 0)) {
-        evt.energy = self.bytesToUint48(data.slice(9, 15))/223.666;  // units watt-hours
-    }
-    self.emit("elec" + (data[0] + 1), evt);
+    self._emitPacket(0x5a, data);
 };
 
 /**
@@ -1146,20 +1662,7 @@ RfxCom.prototype.elec23Handler = function (data) {
  */
 RfxCom.prototype.elec4Handler = function (data) {
     var self = this;
-    var evt;
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        count: data[4],
-        current: [(data[5]*256 + data[6])/10, (data[7]*256 + data[8])/10, (data[9]*256 + data[10])/10],
-        batteryLevel: data[17] & 0x0f,
-        rssi: (data[17] >> 4) & 0xf
-    };
-    if (evt.count === 0) {
-        evt.energy = self.bytesToUint48(data.slice(11, 17))/223.666;  // units watt-hours
-    }
-    self.emit("elec4", evt);
+    self._emitPacket(0x5b, data);
 };
 
 /**
@@ -1170,20 +1673,7 @@ RfxCom.prototype.elec4Handler = function (data) {
  */
 RfxCom.prototype.elec5Handler = function (data) {
     var self = this;
-    var evt;
-    evt = {
-        subtype: data[0],
-        seqnbr: data[1],
-        id: "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        voltage: data[4],
-        current: (data[5]*256 + data[6])/100,
-        power:  (data[7]*256 + data[8])/10,
-        energy:  (data[9]*256 + data[10])*10,  // units watt-hours
-        powerFactor: data[11]/100,
-        frequency: data[12],
-        rssi: (data[13] >> 4) & 0xf
-    };
-    self.emit("elec5", evt);
+    self._emitPacket(0x5c, data);
 };
 
 /**
@@ -1193,18 +1683,8 @@ RfxCom.prototype.elec5Handler = function (data) {
  *
  */
 RfxCom.prototype.weightHandler = function (data) {
-    var self = this,
-        id = "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        batterySignalLevel = data[6],
-        evt = {
-            subtype: data[0],
-            id: id,
-            seqnbr: data[1],
-            weight: (data[4] *256 + data[5]) / 10,
-            rssi: batterySignalLevel & 0x0f,
-            batteryLevel: (batterySignalLevel >> 4) & 0xf
-        };
-    self.emit("weight" + evt.subtype, evt);
+    var self = this;
+    self._emitPacket(0x5d, data);
 };
 
 /**
@@ -1213,28 +1693,8 @@ RfxCom.prototype.weightHandler = function (data) {
   *
   */
 RfxCom.prototype.rfxsensorHandler = function (data) {
-  var self = this,
-      subtype = data[0],
-      seqnbr = data[1],
-      id = "0x" + self.dumpHex([data[2]], false).join(""),
-      evt = {
-        subtype: subtype,
-        id: id,
-        seqnbr: seqnbr,
-        rssi: (data[5] >> 4) & 0xf
-      };
-
-    switch(evt.subtype) {
-        case rfxcom.rfxsensor.TEMP:
-        var signbit = data[3] & 0x80;
-        evt.message =  (((data[3] & 0x7f) * 256 + data[4]) / 100) * (signbit ? -1 : 1);
-        break;
-        case rfxcom.rfxsensor.VOLTAGE:
-        case rfxcom.rfxsensor.AD:
-        evt.message = data[3] * 256 + data[4];
-        break
-    }
-    self.emit("rfxsensor", evt);
+    var self = this;
+    self._emitPacket(0x70, data);
 };
 
 /**
@@ -1244,16 +1704,8 @@ RfxCom.prototype.rfxsensorHandler = function (data) {
  *
  */
 RfxCom.prototype.rfxmeterHandler = function (data) {
-    var self = this,
-        id = "0x" + self.dumpHex(data.slice(2, 4), false).join(""),
-        counter = self.dumpHex(data.slice(4, 8), false).join(""),
-        evt = {
-            subtype: data[0],
-            id: id,
-            seqnbr: data[1],
-            counter: parseInt(counter, 16)
-        };
-    self.emit("rfxmeter", evt);
+    var self = this;
+    self._emitPacket(0x71, data);
 };
 
 module.exports = RfxCom;
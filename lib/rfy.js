@@ -2,6 +2,7 @@ module.exports = Rfy;
 /*jshint -W104 */
 const defines = require("./defines"),
     index = require("./index"),
+    errors = require("./errors"),
     util = require("util");
 
 /*
@@ -63,14 +64,17 @@ Rfy.prototype._splitDeviceId = function(deviceId) {
 /*
  * Called if the transmit queue times out waiting for a reply to a command from this Rfy
  * If we are listing remotes, and this is a response to the listremote command, we have
- * reached the end of the list: emit the event & clear the listingRfyRemotes flag
+ * reached the end of the list: emit the event & clear the listingRfyRemotes flag. The list
+ * is returned as the response to the listRemotes command
  */
 Rfy.prototype._timeoutHandler = function(buffer, seqnbr) {
+    var remotesList;
     if (this.rfxcom.listingRfyRemotes && this.seqnbr === seqnbr) {
+        remotesList = this.rfxcom.rfyRemotesList;
         this.rfxcom.listingRfyRemotes = false;
-        this.rfxcom.emit("rfyremoteslist", this.rfxcom.rfyRemotesList);
+        this.rfxcom.emit("rfyremoteslist", remotesList);
         this.rfxcom.rfyRemotesList = [];
-        return true;
+        return remotesList;
     } else {
         return false;
     }
@@ -92,8 +96,7 @@ Rfy.prototype._sendCommand = function(deviceId, command, callback) {
         self.seqnbr = seqnbr;
         self.rfxcom.rfyRemotesList = [];
     }
-    self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
-    return seqnbr;
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
 };
 
 /*
@@ -133,16 +136,42 @@ Rfy.prototype.eraseAll = function(callback) {
 };
 
 Rfy.prototype.listRemotes = function(callback) {
+    var self = this,
+        done;
     if (this.rfxcom.listingRfyRemotes) {
         this.rfxcom.debugLog("Error   : RFY listRemotes command received while previous list operation in progress");
-        return -1;
+        done = this.rfxcom._completion(callback);
+        done.settle(new errors.RfxComError("Previous list operation in progress"), undefined, -1);
+        return done.promise !== null ? done.promise : -1;
     } else {
         this.rfxcom.listingRfyRemotes = true;
-        // Use a fake deviceId which is valid for all subtypes
-        return this._sendCommand([1, 1], defines.RfyCommands.listRemotes, callback);
+        // Use a fake deviceId which is valid for all subtypes. If the command fails (e.g. it is rejected
+        // at once as unsupported, or not connected) the list operation is over
+        if (typeof callback === "function") {
+            return this._sendCommand([1, 1], defines.RfyCommands.listRemotes, function (err, response, seqnbr) {
+                if (err) {
+                    self._endListing();
+                }
+                return callback(err, response, seqnbr);
+            });
+        } else {
+            done = this._sendCommand([1, 1], defines.RfyCommands.listRemotes);
+            done.catch(function () {
+                self._endListing();
+            });
+            return done;
+        }
     }
 };
 
+/*
+ * Clear the state of a list operation which has failed
+ */
+Rfy.prototype._endListing = function() {
+    this.rfxcom.listingRfyRemotes = false;
+    this.rfxcom.rfyRemotesList = [];
+};
+
 Rfy.prototype.program = function(deviceId, callback) {
     return this._sendCommand(deviceId, defines.RfyCommands.program, callback);
 };
@@ -0,0 +1,162 @@
+module.exports = Security1;
+/*jshint -W104 */
+const defines = require('./defines'),
+    index = require('./index'),
+    util = require('util');
+
+/*
+ * This is a class for sending security commands: X10 security remotes & sensors, KD101 & SA30 smoke
+ * detectors, Visonic Powercode sensors and Meiantech remotes
+ */
+function Security1(rfxcom, subtype) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.subtype = subtype;
+
+    if (typeof self.subtype === "undefined") {
+        throw new Error("Must provide a subtype.");
+    }
+}
+
+/*
+    Returns true if the subtype matches the supplied subtypeName
+ */
+Security1.prototype.isSubtype = function (subtypeName) {
+    return index.security1[subtypeName] === this.subtype;
+};
+
+/*
+ * Throws an error naming the command if the subtype is not one of the given subtype names
+ */
+Security1.prototype._checkSubtype = function (subtypeNames, command) {
+    var self = this;
+    if (!subtypeNames.some(function (name) {
+            return self.isSubtype(name);
+        })) {
+        throw new Error("Device does not support " + command + "()");
+    }
+};
+
+/*
+ * Splits the device ID (a single 24-bit ID) and returns the ID bytes.
+ * Throws an Error if the format is invalid.
+ */
+Security1.prototype._splitDeviceId = function (deviceId) {
+    var parts, id;
+    if (util.isArray(deviceId)) {
+        parts = deviceId;
+    } else {
+        parts = deviceId.split("/");
+    }
+    if (parts.length !== 1) {
+        throw new Error("Invalid deviceId format");
+    }
+    id = this.rfxcom.stringToBytes(parts[0], 3);
+    if (id.value > 0xffffff) {
+        throw new Error("Address 0x" + id.value.toString(16) + " outside valid range");
+    }
+    return {
+        idBytes: id.bytes
+    };
+};
+
+Security1.prototype._timeoutHandler = function (buffer, seqnbr) {
+    return false;
+};
+
+Security1.prototype._sendCommand = function (deviceId, status, callback) {
+    var self = this,
+        device = self._splitDeviceId(deviceId),
+        seqnbr = self.rfxcom.getSequenceNumber(),
+        buffer = [0x08, defines.SECURITY1, self.subtype, seqnbr,
+                  device.idBytes[0], device.idBytes[1], device.idBytes[2], status, 0];
+
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
+};
+
+/*
+ * Arm the alarm system (away)
+ */
+Security1.prototype.armAway = function (deviceId, callback) {
+    this._checkSubtype(["X10_SECURITY", "MEIANTECH"], "armAway");
+    return this._sendCommand(deviceId, index.security.ARM_AWAY, callback);
+};
+
+/*
+ * Arm the alarm system (at home)
+ */
+Security1.prototype.armHome = function (deviceId, callback) {
+    this._checkSubtype(["X10_SECURITY", "MEIANTECH"], "armHome");
+    return this._sendCommand(deviceId, index.security.ARM_HOME, callback);
+};
+
+/*
+ * Disarm the alarm system
+ */
+Security1.prototype.disarm = function (deviceId, callback) {
+    this._checkSubtype(["X10_SECURITY", "MEIANTECH"], "disarm");
+    return this._sendCommand(deviceId, index.security.DISARM, callback);
+};
+
+/*
+ * Send a panic alarm. For KD101 & SA30 smoke detectors, this sounds all the detectors paired with deviceId
+ */
+Security1.prototype.panic = function (deviceId, callback) {
+    this._checkSubtype(["X10_SECURITY", "MEIANTECH", "KD101", "SA30"], "panic");
+    return this._sendCommand(deviceId, index.security.PANIC, callback);
+};
+
+/*
+ * Switch on light 1 or 2 (default 1) of an X10 security remote
+ */
+Security1.prototype.switchLightOn = function (deviceId, light, callback) {
+    if (callback === undefined && typeof light === "function") {
+        callback = light;
+        light = 1;
+    }
+    this._checkSubtype(["X10_SECURITY"], "switchLightOn");
+    return this._sendCommand(deviceId, this._lightCommand(light, true), callback);
+};
+
+/*
+ * Switch off light 1 or 2 (default 1) of an X10 security remote
+ */
+Security1.prototype.switchLightOff = function (deviceId, light, callback) {
+    if (callback === undefined && typeof light === "function") {
+        callback = light;
+        light = 1;
+    }
+    this._checkSubtype(["X10_SECURITY"], "switchLightOff");
+    return this._sendCommand(deviceId, this._lightCommand(light, false), callback);
+};
+
+Security1.prototype._lightCommand = function (light, on) {
+    if (light === undefined || light === 1) {
+        return on ? index.security.LIGHT1_ON : index.security.LIGHT1_OFF;
+    } else if (light === 2) {
+        return on ? index.security.LIGHT2_ON : index.security.LIGHT2_OFF;
+    } else {
+        throw new Error("Invalid light number " + light);
+    }
+};
+
+/*
+ * Test the alarm: sensors (X10 door & PIR, Powercode) send an alarm, smoke detectors (KD101 & SA30) sound
+ * the smoke alarm
+ */
+Security1.prototype.alarmTest = function (deviceId, callback) {
+    if (this.isSubtype("KD101") || this.isSubtype("SA30")) {
+        return this._sendCommand(deviceId, index.security.PANIC, callback);
+    }
+    this._checkSubtype(["X10_DOOR", "X10_PIR", "POWERCODE_DOOR", "POWERCODE_PIR", "POWERCODE_AUX"], "alarmTest");
+    return this._sendCommand(deviceId, index.security.ALARM, callback);
+};
+
+/*
+ * Pair a KD101 or SA30 smoke detector with deviceId
+ */
+Security1.prototype.pair = function (deviceId, callback) {
+    this._checkSubtype(["KD101", "SA30"], "pair");
+    return this._sendCommand(deviceId, index.security.PAIR_KD101, callback);
+};
@@ -0,0 +1,60 @@
+module.exports = SerialTransport;
+/*jshint -W104 */
+const SerialPort = require("serialport"),
+    EventEmitter = require("events").EventEmitter,
+    util = require("util");
+
+/*
+ * Transport for an RFXtrx connected to a local serial port (see transport.js)
+ */
+function SerialTransport(device, parser) {
+    var self = this;
+    EventEmitter.call(self);
+
+    self.device = device;
+    self.parser = parser;
+    self.port = null;
+}
+util.inherits(SerialTransport, EventEmitter);
+
+SerialTransport.prototype.open = function () {
+    var self = this;
+    // Delay opening the serialport until after the event handlers are installed
+    self.port = new SerialPort(self.device, {
+        baudrate: 38400,
+        parser: self.parser,
+        autoOpen: false
+    });
+    ["open", "data", "error", "disconnect", "end", "drain"].forEach(function (event) {
+        self.port.on(event, function () {
+            self.emit.apply(self, [event].concat(Array.prototype.slice.call(arguments)));
+        });
+    });
+    self.port.open();
+};
+
+SerialTransport.prototype.write = function (bytes, callback) {
+    var self = this;
+    if (self.port !== null) {
+        self.port.write(bytes, callback);
+    } else if (typeof callback === "function") {
+        process.nextTick(callback, new Error("Not connected"));
+    }
+};
+
+SerialTransport.prototype.flush = function (callback) {
+    var self = this;
+    if (self.port !== null) {
+        self.port.flush(callback);
+    } else if (typeof callback === "function") {
+        process.nextTick(callback);
+    }
+};
+
+SerialTransport.prototype.close = function () {
+    var self = this;
+    if (self.port !== null && self.port.fd) {
+        self.port.close();
+    }
+    self.port = null;
+};
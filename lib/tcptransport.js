@@ -0,0 +1,99 @@
+module.exports = TcpTransport;
+/*jshint -W104 */
+const net = require("net"),
+    url = require("url"),
+    EventEmitter = require("events").EventEmitter,
+    util = require("util");
+
+/*
+ * Transport for an RFXtrx reached over a TCP connection, typically to a serial-to-TCP bridge such as
+ * ser2net (see transport.js). Received data arrives in arbitrary chunks, which are passed to the parser
+ * to be assembled into packets
+ */
+function TcpTransport(host, port, parser) {
+    var self = this;
+    EventEmitter.call(self);
+
+    self.host = host;
+    self.port = port;
+    self.parser = parser;
+    self.socket = null;
+}
+util.inherits(TcpTransport, EventEmitter);
+
+/*
+ * Return {host, port} if device is a TCP address of the form "tcp://host:port", or null if it
+ * is not a TCP address. Throws an Error if it is a malformed TCP address
+ */
+TcpTransport.parseAddress = function (device) {
+    if (typeof device !== "string" || device.toLowerCase().indexOf("tcp://") !== 0) {
+        return null;
+    }
+    var address = url.parse(device),
+        port = parseInt(address.port, 10);
+    if (!address.hostname || isNaN(port) || port < 1 || port > 65535) {
+        throw new Error("Invalid TCP address " + device + ", should be tcp://host:port");
+    }
+    return {host: address.hostname, port: port};
+};
+
+TcpTransport.prototype.open = function () {
+    var self = this,
+        failed = false,
+        socket = net.connect({host: self.host, port: self.port});
+
+    self.socket = socket;
+    socket.setNoDelay(true);
+    socket.on("connect", function () {
+        self.emit("open");
+    });
+    socket.on("data", function (data) {
+        self.parser(self, data);
+    });
+    socket.on("error", function (err) {
+        failed = true;
+        if (self.socket === socket) {
+            self.emit("error", err);
+        }
+    });
+    socket.on("end", function () {
+        if (self.socket === socket) {
+            self.emit("end");
+        }
+    });
+    // A connection closed at the other end without an error is a disconnection. A connection closed
+    // by calling close() is not reported
+    socket.on("close", function () {
+        if (self.socket === socket && !failed) {
+            self.socket = null;
+            self.emit("disconnect", "Connection to " + self.host + ":" + self.port + " closed");
+        }
+    });
+};
+
+TcpTransport.prototype.write = function (bytes, callback) {
+    var self = this;
+    if (self.socket !== null) {
+        self.socket.write(Buffer.from(bytes), callback);
+    } else if (typeof callback === "function") {
+        process.nextTick(callback, new Error("Not connected"));
+    }
+};
+
+/*
+ * There is no receive buffer to flush, anything already received has been passed to the parser
+ */
+TcpTransport.prototype.flush = function (callback) {
+    if (typeof callback === "function") {
+        process.nextTick(callback);
+    }
+};
+
+TcpTransport.prototype.close = function () {
+    var self = this,
+        socket = self.socket;
+    self.socket = null;
+    if (socket !== null) {
+        socket.destroy();
+    }
+};
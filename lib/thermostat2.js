@@ -0,0 +1,87 @@
+module.exports = Thermostat2;
+/*jshint -W104 */
+const defines = require('./defines'),
+    index = require('./index'),
+    util = require('util');
+
+/*
+ * This is a class for controlling HE105 & RTS10 (RFS10, TLX1206) thermostats
+ */
+function Thermostat2(rfxcom, subtype) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.subtype = subtype;
+
+    if (typeof self.subtype === "undefined") {
+        throw new Error("Must provide a subtype.");
+    }
+}
+
+/*
+    Returns true if the subtype matches the supplied subtypeName
+ */
+Thermostat2.prototype.isSubtype = function (subtypeName) {
+    return index.thermostat2[subtypeName] === this.subtype;
+};
+
+/*
+ * Splits the device id (the unit code, 0 - 31) and returns the components.
+ * Throws an Error if the format is invalid.
+ */
+Thermostat2.prototype._splitDeviceId = function (deviceId) {
+    var parts, unitCode;
+    if (util.isArray(deviceId)) {
+        parts = deviceId;
+    } else {
+        parts = String(deviceId).split("/");
+    }
+    if (parts.length !== 1) {
+        throw new Error("Invalid deviceId format");
+    }
+    unitCode = parseInt(parts[0]);
+    if (isNaN(unitCode) || unitCode < 0 || unitCode > 0x1f) {
+        throw new Error("Invalid unit code " + parts[0]);
+    }
+    return {
+        unitCode: unitCode
+    };
+};
+
+Thermostat2.prototype._timeoutHandler = function (buffer, seqnbr) {
+    return false;
+};
+
+Thermostat2.prototype._sendCommand = function (deviceId, command, callback) {
+    var self = this,
+        device = self._splitDeviceId(deviceId),
+        seqnbr = self.rfxcom.getSequenceNumber(),
+        buffer = [0x06, defines.THERMOSTAT2, self.subtype, seqnbr, device.unitCode, command, 0];
+
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
+};
+
+/*
+ * Switch the heating on
+ */
+Thermostat2.prototype.switchOn = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.THERMOSTAT_ON, callback);
+};
+
+/*
+ * Switch the heating off
+ */
+Thermostat2.prototype.switchOff = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.THERMOSTAT_OFF, callback);
+};
+
+/*
+ * Program (pair) the receiver with deviceId (RTS10 only)
+ */
+Thermostat2.prototype.program = function (deviceId, callback) {
+    if (this.isSubtype("RTS10")) {
+        return this._sendCommand(deviceId, defines.THERMOSTAT_PROGRAM, callback);
+    } else {
+        throw new Error("Device does not support program()");
+    }
+};
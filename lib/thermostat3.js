@@ -0,0 +1,138 @@
+module.exports = Thermostat3;
+/*jshint -W104 */
+const defines = require('./defines'),
+    index = require('./index'),
+    util = require('util');
+
+/*
+ * This is a class for controlling Mertik G6R gas fires
+ */
+function Thermostat3(rfxcom, subtype) {
+    var self = this;
+
+    self.rfxcom = rfxcom;
+    self.subtype = subtype;
+
+    if (typeof self.subtype === "undefined") {
+        throw new Error("Must provide a subtype.");
+    }
+}
+
+/*
+    Returns true if the subtype matches the supplied subtypeName
+ */
+Thermostat3.prototype.isSubtype = function (subtypeName) {
+    return index.thermostat3[subtypeName] === this.subtype;
+};
+
+/*
+ * Splits the device id (the 24-bit remote ID) and returns the ID bytes.
+ * Throws an Error if the format is invalid.
+ */
+Thermostat3.prototype._splitDeviceId = function (deviceId) {
+    var parts, id;
+    if (util.isArray(deviceId)) {
+        parts = deviceId;
+    } else {
+        parts = deviceId.split("/");
+    }
+    if (parts.length !== 1) {
+        throw new Error("Invalid deviceId format");
+    }
+    id = this.rfxcom.stringToBytes(parts[0], 3);
+    if (id.value > 0xffffff) {
+        throw new Error("Address 0x" + id.value.toString(16) + " outside valid range");
+    }
+    return {
+        idBytes: id.bytes
+    };
+};
+
+Thermostat3.prototype._timeoutHandler = function (buffer, seqnbr) {
+    return false;
+};
+
+Thermostat3.prototype._sendCommand = function (deviceId, command, callback) {
+    var self = this,
+        device = self._splitDeviceId(deviceId),
+        seqnbr = self.rfxcom.getSequenceNumber(),
+        buffer = [0x08, defines.THERMOSTAT3, self.subtype, seqnbr,
+                  device.idBytes[0], device.idBytes[1], device.idBytes[2], command, 0];
+
+    return self.rfxcom.queueMessage(self, buffer, seqnbr, callback);
+};
+
+/*
+ * Switch the fire on
+ */
+Thermostat3.prototype.switchOn = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.THERMOSTAT_ON, callback);
+};
+
+/*
+ * Switch the fire off
+ */
+Thermostat3.prototype.switchOff = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.THERMOSTAT_OFF, callback);
+};
+
+/*
+ * Turn the flame up one step
+ */
+Thermostat3.prototype.up = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.THERMOSTAT_UP, callback);
+};
+
+/*
+ * Turn the flame down one step
+ */
+Thermostat3.prototype.down = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.THERMOSTAT_DOWN, callback);
+};
+
+/*
+ * Keep turning the flame up, until stopped (not G6R-H4TB: see switchOff2())
+ */
+Thermostat3.prototype.runUp = function (deviceId, callback) {
+    if (this.isSubtype("MERTIK_G6R_H4TB")) {
+        throw new Error("Device does not support runUp()");
+    }
+    return this._sendCommand(deviceId, defines.THERMOSTAT_RUN_UP, callback);
+};
+
+/*
+ * Keep turning the flame down, until stopped (not G6R-H4TB: see switchOn2())
+ */
+Thermostat3.prototype.runDown = function (deviceId, callback) {
+    if (this.isSubtype("MERTIK_G6R_H4TB")) {
+        throw new Error("Device does not support runDown()");
+    }
+    return this._sendCommand(deviceId, defines.THERMOSTAT_RUN_DOWN, callback);
+};
+
+/*
+ * Send the second off command (G6R-H4TB only)
+ */
+Thermostat3.prototype.switchOff2 = function (deviceId, callback) {
+    if (!this.isSubtype("MERTIK_G6R_H4TB")) {
+        throw new Error("Device does not support switchOff2()");
+    }
+    return this._sendCommand(deviceId, defines.THERMOSTAT_OFF_2, callback);
+};
+
+/*
+ * Send the second on command (G6R-H4TB only)
+ */
+Thermostat3.prototype.switchOn2 = function (deviceId, callback) {
+    if (!this.isSubtype("MERTIK_G6R_H4TB")) {
+        throw new Error("Device does not support switchOn2()");
+    }
+    return this._sendCommand(deviceId, defines.THERMOSTAT_ON_2, callback);
+};
+
+/*
+ * Stop turning the flame up or down
+ */
+Thermostat3.prototype.stop = function (deviceId, callback) {
+    return this._sendCommand(deviceId, defines.THERMOSTAT_STOP, callback);
+};
@@ -0,0 +1,48 @@
+/*jshint -W104 */
+const SerialTransport = require("./serialtransport"),
+    TcpTransport = require("./tcptransport");
+
+/*
+ * A transport carries bytes between an RfxCom object and the RFXtrx. Two transports are built in:
+ *
+ *   SerialTransport - a local serial port, e.g. "/dev/ttyUSB0" or "COM3"
+ *   TcpTransport    - a network connection to a serial-to-TCP bridge (e.g. ser2net), e.g. "tcp://192.168.1.5:4000"
+ *
+ * Any other transport must be an EventEmitter with the following methods:
+ *
+ *   open()                 - Open the connection. Emit "open" once it is established, or "error" if it fails
+ *   write(bytes, callback) - Write an array of bytes, then call callback(err)
+ *   flush(callback)        - Discard any received data not yet read, then call callback(err)
+ *   close()                - Close the connection. Must be safe to call if the connection is not open
+ *
+ * and emit the following events:
+ *
+ *   "open"                 - The connection has been established
+ *   "data" (packet)        - A complete RFXtrx packet (a Buffer, starting with the length byte) has been
+ *                            received. The transport is constructed with a parser function,
+ *                            parser(transport, data), which assembles received data into packets & emits
+ *                            these events. All received data (Buffers or arrays of bytes) must be passed to
+ *                            it, and a Buffer must not be reused once passed, as the packets share its memory
+ *   "error" (err)          - The connection could not be established, or has failed
+ *   "disconnect" (err)     - The connection has been lost (without an "error" event)
+ *   "end"                  - The other end has finished sending
+ *
+ * To use a different transport, supply a factory function as options.transport to the RfxCom constructor.
+ * It is called as transport(device, parser) each time the connection is opened, and must return a new
+ * (unopened) transport.
+ */
+
+exports.SerialTransport = SerialTransport;
+exports.TcpTransport = TcpTransport;
+
+/*
+ * Create the built-in transport appropriate for the device name
+ */
+exports.create = function (device, parser) {
+    var address = TcpTransport.parseAddress(device);
+    if (address !== null) {
+        return new TcpTransport(address.host, address.port, parser);
+    } else {
+        return new SerialTransport(device, parser);
+    }
+};
@@ -42,6 +42,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -51,6 +52,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x05, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should log the bytes being sent in debug mode', function (done) {
@@ -72,6 +74,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x05, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -81,6 +84,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x05, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -90,6 +94,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x05, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a setLimit() command to the serialport', function (done) {
@@ -99,6 +104,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x05, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for down() command', function () {
@@ -133,6 +139,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x00, 0x01, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffff', function (done) {
@@ -142,6 +149,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0xff, 0xff, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffff', function () {
@@ -156,6 +164,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0xf', function (done) {
@@ -165,6 +174,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x00, 0x00, 0x00, 0x12, 0x34, 0x0f, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 0xf', function () {
@@ -186,6 +196,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -195,6 +206,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x05, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -204,6 +216,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x05, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -213,6 +226,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x05, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -222,6 +236,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x05, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a setLimit() command to the serialport', function (done) {
@@ -231,6 +246,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x05, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for down() command', function () {
@@ -265,6 +281,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x00, 0x01, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffff', function (done) {
@@ -274,6 +291,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0xff, 0xff, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffff', function () {
@@ -288,6 +306,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0xf', function (done) {
@@ -297,6 +316,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x01, 0x00, 0x00, 0x12, 0x34, 0x0f, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 0xf', function () {
@@ -318,6 +338,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -327,6 +348,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a deviceId with no unit code', function (done) {
@@ -336,6 +358,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -345,6 +368,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -354,6 +378,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0x00, 0x12, 0x34, 0x00, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -363,6 +388,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0x00, 0x12, 0x34, 0x00, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLimit() command', function () {
@@ -402,6 +428,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffffff', function (done) {
@@ -411,6 +438,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x02, 0x00, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffffffff', function () {
@@ -432,6 +460,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -441,6 +470,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a deviceId with no unit code', function (done) {
@@ -450,6 +480,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -459,6 +490,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -468,6 +500,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0x00, 0x12, 0x34, 0x00, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -477,6 +510,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0x00, 0x12, 0x34, 0x00, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLimit() command', function () {
@@ -516,6 +550,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffffff', function (done) {
@@ -525,6 +560,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x03, 0x00, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffffffff', function () {
@@ -546,6 +582,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -555,6 +592,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a deviceId with no unit code', function (done) {
@@ -564,6 +602,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -573,6 +612,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -582,6 +622,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -591,6 +632,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a setLimit() command to the serialport', function (done) {
@@ -600,6 +642,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for down() command', function () {
@@ -619,6 +662,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a reverse() command to the serialport', function (done) {
@@ -628,6 +672,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x12, 0x34, 0x00, 0x07, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address < 1', function () {
@@ -642,6 +687,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffffff', function (done) {
@@ -651,6 +697,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x04, 0x00, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffffffff', function () {
@@ -672,6 +719,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -681,6 +729,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a deviceId with no unit code', function (done) {
@@ -690,6 +739,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -699,6 +749,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -708,6 +759,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x12, 0x34, 0x00, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for a confirm() command', function () {
@@ -727,6 +779,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for an up() command to the serialport', function (done) {
@@ -736,6 +789,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLowerLimit() command', function () {
@@ -760,6 +814,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffffff', function (done) {
@@ -769,6 +824,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x05, 0x00, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffffffff', function () {
@@ -790,6 +846,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x01, 0x23, 0x45, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -799,6 +856,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x01, 0x23, 0x45, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -808,6 +866,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x01, 0x23, 0x45, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -817,6 +876,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x01, 0x23, 0x45, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -826,6 +886,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x01, 0x23, 0x45, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLimit() command', function () {
@@ -865,6 +926,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x00, 0x00, 0x15, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xfffffff', function (done) {
@@ -874,6 +936,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0xff, 0xff, 0xff, 0xf5, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xfffffff', function () {
@@ -888,6 +951,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x01, 0x23, 0x40, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0xf', function (done) {
@@ -897,6 +961,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x06, 0x00, 0x00, 0x01, 0x23, 0x4f, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 0xf', function () {
@@ -918,6 +983,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x01, 0x23, 0x45, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -927,6 +993,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x01, 0x23, 0x45, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -936,6 +1003,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x01, 0x23, 0x45, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -945,6 +1013,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x01, 0x23, 0x45, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -954,6 +1023,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x01, 0x23, 0x45, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLimit() command', function () {
@@ -993,6 +1063,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x00, 0x00, 0x15, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xfffffff', function (done) {
@@ -1002,6 +1073,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0xff, 0xff, 0xff, 0xf5, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xfffffff', function () {
@@ -1016,6 +1088,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x01, 0x23, 0x40, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0xf', function (done) {
@@ -1025,6 +1098,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x07, 0x00, 0x00, 0x01, 0x23, 0x4f, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 0xf', function () {
@@ -1046,6 +1120,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x04, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -1055,6 +1130,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x04, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -1064,6 +1140,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x04, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -1073,6 +1150,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x04, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for a confirm() command', function () {
@@ -1092,6 +1170,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x04, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for an up() command', function (done) {
@@ -1101,6 +1180,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x04, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLowerLimit() command', function () {
@@ -1125,6 +1205,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x00, 0x01, 0x04, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xfff', function (done) {
@@ -1134,6 +1215,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x0f, 0xff, 0x04, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xfff', function () {
@@ -1153,6 +1235,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0x6', function (done) {
@@ -1162,6 +1245,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x08, 0x00, 0x00, 0x01, 0x23, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 0x6', function () {
@@ -1183,6 +1267,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -1192,6 +1277,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -1201,6 +1287,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -1210,6 +1297,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -1219,6 +1307,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a setLimit() command to the serialport', function (done) {
@@ -1228,6 +1317,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for down() command', function () {
@@ -1247,6 +1337,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a reverse() command to the serialport', function (done) {
@@ -1256,6 +1347,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x55, 0x06, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address < 1', function () {
@@ -1270,6 +1362,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x00, 0x00, 0x15, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xfffff', function (done) {
@@ -1279,6 +1372,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0xff, 0xff, 0xf5, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xfffff', function () {
@@ -1293,6 +1387,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x50, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0x6', function (done) {
@@ -1302,6 +1397,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x09, 0x00, 0x00, 0x12, 0x34, 0x56, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 0x6', function () {
@@ -1323,6 +1419,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -1332,6 +1429,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a deviceId with no unit code', function (done) {
@@ -1341,6 +1439,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -1350,6 +1449,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -1359,6 +1459,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -1368,6 +1469,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLimit() command', function () {
@@ -1382,6 +1484,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for an up() command to the serialport', function (done) {
@@ -1391,6 +1494,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLowerLimit() command', function () {
@@ -1405,6 +1509,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x12, 0x34, 0x00, 0x06, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address < 1', function () {
@@ -1419,6 +1524,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffffff', function (done) {
@@ -1428,6 +1534,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0a, 0x00, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffffffff', function () {
@@ -1449,6 +1556,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -1458,6 +1566,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a deviceId with no unit code', function (done) {
@@ -1467,6 +1576,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -1476,6 +1586,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0x00, 0x12, 0x34, 0x00, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -1485,6 +1596,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0x00, 0x12, 0x34, 0x00, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -1494,6 +1606,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0x00, 0x12, 0x34, 0x00, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for setLimit() command', function () {
@@ -1533,6 +1646,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffffff', function (done) {
@@ -1542,6 +1656,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0b, 0x00, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffffffff', function () {
@@ -1563,6 +1678,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x04, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -1572,6 +1688,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x04, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -1581,6 +1698,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x04, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a stop() command to the serialport', function (done) {
@@ -1590,6 +1708,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x04, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a confirm() command to the serialport', function (done) {
@@ -1599,6 +1718,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x04, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for a setLimit() command', function () {
@@ -1638,6 +1758,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x00, 0x01, 0x04, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffff', function (done) {
@@ -1647,6 +1768,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0xff, 0xff, 0x04, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffff', function () {
@@ -1661,6 +1783,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x0f, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0x1', function (done) {
@@ -1670,6 +1793,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0xf', function (done) {
@@ -1679,6 +1803,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0c, 0x00, 0x00, 0x12, 0x34, 0x0e, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 0xf', function () {
@@ -1700,6 +1825,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x12, 0x34, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -1709,6 +1835,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x12, 0x34, 0x05, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes for a close() command to the serialport', function (done) {
@@ -1718,6 +1845,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x12, 0x34, 0x05, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for a stop() command', function () {
@@ -1732,6 +1860,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x12, 0x34, 0x05, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for a setLimit() command', function () {
@@ -1771,6 +1900,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x00, 0x01, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept address = 0xffff', function (done) {
@@ -1780,6 +1910,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0xff, 0xff, 0x05, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for address > 0xffff', function () {
@@ -1794,6 +1925,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x12, 0x34, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 0x1', function (done) {
@@ -1803,6 +1935,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x12, 0x34, 0x01, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept unitcode = 99', function (done) {
@@ -1812,6 +1945,7 @@ describe('Blinds1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x19, 0x0d, 0x00, 0x00, 0x12, 0x34, 0x63, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error for unit code > 99', function () {
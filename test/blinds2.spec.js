@@ -0,0 +1,150 @@
+/* global require: false, beforeEach: false, describe: false, it: false, expect: false */
+var rfxcom = require('../lib'),
+    matchers = require('./matchers'),
+    FakeSerialPort = require('./helper');
+
+describe('Blinds2 class', function () {
+    var blinds2,
+        fakeSerialPort,
+        device;
+    beforeEach(function () {
+        this.addMatchers({
+            toHaveSent: matchers.toHaveSent
+        });
+        fakeSerialPort = new FakeSerialPort();
+        device = new rfxcom.RfxCom('/dev/ttyUSB0', {
+            port: fakeSerialPort
+        });
+        device.connected = true;
+        blinds2 = new rfxcom.Blinds2(device, rfxcom.blinds2.BREL_DOOYA);
+    });
+    afterEach(function () {
+        if (typeof device.acknowledge[0] === "function") {
+            device.acknowledge[0]();
+        }
+    });
+    describe('instantiation', function () {
+        it('should throw an error if no subtype is specified', function () {
+            expect(function () {
+                blinds2 = new rfxcom.Blinds2(device);
+            }).toThrow("Must provide a subtype.");
+        });
+    });
+    describe('.open', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            blinds2.open('0x12345678/1', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x01, 0x00, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should accept an array address', function (done) {
+            var sentCommandId = NaN;
+            blinds2.open(['0x12345678', '0'], function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x00, 0x00, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid device ID', function () {
+            expect(function () {
+                blinds2.open('0x0/1');
+            }).toThrow("Address 0x0 outside valid range");
+        });
+        it('should throw an error with an invalid unit code', function () {
+            expect(function () {
+                blinds2.open('0x12345678/16');
+            }).toThrow("Invalid unit code 16");
+        });
+        it('should throw an error with an invalid deviceId format', function () {
+            expect(function () {
+                blinds2.open('0x12345678');
+            }).toThrow("Invalid deviceId format");
+        });
+    });
+    describe('.close', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            blinds2.close('0x12345678/1', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x01, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.stop', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            blinds2.stop('0x12345678/15', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x0F, 0x02, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.pair', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            blinds2.pair('0x12345678/1', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x01, 0x03, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.setPosition', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            blinds2.setPosition('0x12345678/1', 40, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x01, 0x04, 0x28, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid percentage', function () {
+            expect(function () {
+                blinds2.setPosition('0x12345678/1', 101);
+            }).toThrow("Invalid percentage 101: value must be in range 0-100");
+        });
+    });
+    describe('.setAngle', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            blinds2.setAngle('0x12345678/1', 90, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x01, 0x05, 0x00, 0x5A, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should also set the position if a percentage is given', function (done) {
+            var sentCommandId = NaN;
+            blinds2.setAngle('0x12345678/1', 45, 100, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x0C, 0x31, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x01, 0x06, 0x64, 0x2D, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid angle', function () {
+            expect(function () {
+                blinds2.setAngle('0x12345678/1', -1);
+            }).toThrow("Invalid angle -1: value must be in range 0-180");
+        });
+    });
+});
@@ -0,0 +1,203 @@
+/* global require: false, beforeEach: false, describe: false, it: false, expect: false */
+var rfxcom = require('../lib'),
+    matchers = require('./matchers'),
+    FakeSerialPort = require('./helper');
+
+describe('Camera1 class', function () {
+    var camera1,
+        fakeSerialPort,
+        device;
+    beforeEach(function () {
+        this.addMatchers({
+            toHaveSent: matchers.toHaveSent
+        });
+        fakeSerialPort = new FakeSerialPort();
+        device = new rfxcom.RfxCom('/dev/ttyUSB0', {
+            port: fakeSerialPort
+        });
+        device.connected = true;
+        camera1 = new rfxcom.Camera1(device, rfxcom.camera1.X10_NINJA);
+    });
+    afterEach(function () {
+        if (typeof device.acknowledge[0] === "function") {
+            device.acknowledge[0]();
+        }
+    });
+    describe('instantiation', function () {
+        it('should throw an error if no subtype is specified', function () {
+            expect(function () {
+                camera1 = new rfxcom.Camera1(device);
+            }).toThrow("Must provide a subtype.");
+        });
+    });
+    describe('.left', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.left('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should accept an array address', function (done) {
+            var sentCommandId = NaN;
+            camera1.left(['p'], function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x50, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid house code', function () {
+            expect(function () {
+                camera1.left('Q');
+            }).toThrow("Invalid house code 'Q'");
+        });
+        it('should throw an error with an invalid deviceId format', function () {
+            expect(function () {
+                camera1.left('C1');
+            }).toThrow("Invalid deviceId format");
+        });
+    });
+    describe('.right', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.right('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.up', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.up('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.down', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.down('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.goToPosition', function () {
+        it('should send the correct bytes for position 1', function (done) {
+            var sentCommandId = NaN;
+            camera1.goToPosition('C', 1, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for position 4', function (done) {
+            var sentCommandId = NaN;
+            camera1.goToPosition('C', 4, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x0A, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid position', function () {
+            expect(function () {
+                camera1.goToPosition('C', 5);
+            }).toThrow("Invalid position 5");
+        });
+    });
+    describe('.programPosition', function () {
+        it('should send the correct bytes for position 1', function (done) {
+            var sentCommandId = NaN;
+            camera1.programPosition('C', 1, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for position 3', function (done) {
+            var sentCommandId = NaN;
+            camera1.programPosition('C', 3, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x09, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid position', function () {
+            expect(function () {
+                camera1.programPosition('C', 0);
+            }).toThrow("Invalid position 0");
+        });
+    });
+    describe('.center', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.center('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x0C, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.programCenter', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.programCenter('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x0D, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.sweep', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.sweep('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x0E, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.programSweep', function () {
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            camera1.programSweep('C', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x28, 0x00, 0x00, 0x43, 0x0F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+});
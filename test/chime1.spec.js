@@ -39,6 +39,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x00, 0x00, 0x00, 0x2A, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -48,6 +49,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x00, 0x00, 0x00, 0x2A, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should log the bytes being sent in debug mode', function (done) {
@@ -69,6 +71,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x00, 0x00, 0x00, 0x2A, 0x0D, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error with an invalid tone number', function () {
@@ -98,6 +101,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x01, 0x00, 0x11, 0x5F, 0x54, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error with an invalid device ID format', function () {
@@ -122,6 +126,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x02, 0x00, 0x00, 0x03, 0xFF, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept the highest allowed address', function (done) {
@@ -131,6 +136,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x02, 0x00, 0x3f, 0xFF, 0xFF, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error with an invalid device ID', function () {
@@ -150,6 +156,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x04, 0x00, 0x00, 0x03, 0xFF, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport', function (done) {
@@ -159,6 +166,7 @@ describe('Chime1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x16, 0x04, 0x00, 0xFF, 0xFF, 0xFF, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an error with an invalid device ID', function () {
@@ -0,0 +1,193 @@
+/* global require: false, describe: false, module */
+var rfxcom = require('../lib'),
+    codec = require('../lib/codec');
+
+describe("codec", function () {
+    describe(".decode", function () {
+        it("should decode a sensor packet, identifying its type", function () {
+            expect(codec.decode([0x08, 0x50, 0x02, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x69])).toEqual({
+                type: "temp2",
+                packetType: 0x50,
+                subtype: 0x02,
+                id: "0xFAAF",
+                seqnbr: 0x01,
+                temperature: -2.0,
+                batteryLevel: 9,
+                rssi: 6
+            });
+        });
+        it("should decode a status packet", function () {
+            var evt = codec.decode([0x0D, 0x01, 0x00, 0x01, 0x02, 0x53, 0x30, 0x00, 0x02, 0x21, 0x01, 0x00, 0x00, 0x00]);
+            expect(evt.type).toBe("status");
+            expect(evt.receiverType).toBe("433.92MHz transceiver");
+            expect(evt.firmwareVersion).toBe(0x30);
+            expect(evt.firmwareType).toBe("Type 1");
+            expect(evt.enabledProtocols).toEqual(["LIGHTWAVERF", "X10", "OREGON"]);
+        });
+        it("should decode a transmitted lighting3 packet", function () {
+            expect(codec.decode([0x08, 0x12, 0x00, 0x00, 0x01, 0x00, 0x02, 0x10, 0x00])).toEqual({
+                type: "lighting3",
+                packetType: 0x12,
+                subtype: 0,
+                seqnbr: 0,
+                system: 2,
+                channels: [10],
+                commandNumber: 0x10,
+                command: "On",
+                rssi: 0
+            });
+        });
+        it("should decode a packet held in a Buffer in the same way as an array", function () {
+            var packet = [0x0B, 0x11, 0x00, 0x01, 0x03, 0x9A, 0xC7, 0xA1, 0x01, 0x00, 0x0F, 0xF0];
+            expect(codec.decode(Buffer.from(packet))).toEqual(codec.decode(packet));
+        });
+        it("should decode a packet held in part of a larger Buffer", function () {
+            var buffer = Buffer.from([0xFF, 0x08, 0x50, 0x02, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x69, 0xFF]);
+            expect(codec.decode(buffer.subarray(1, 10)).temperature).toBe(-2.0);
+        });
+        it("should throw an error for a packet of the wrong length", function () {
+            expect(function () {
+                codec.decode([0x08, 0x50, 0x02, 0x01, 0xFA, 0xAF, 0x80, 0x14]);
+            }).toThrow("Wrong packet length: 8 bytes");
+        });
+        it("should throw an error for an unsupported packet type", function () {
+            expect(function () {
+                codec.decode([0x04, 0x7F, 0x00, 0x00, 0x00]);
+            }).toThrow("Unsupported packet type 0x7F");
+        });
+    });
+    describe(".encode", function () {
+        it("should encode an object, filling missing fields with zero", function () {
+            expect(codec.encode({packetType: 0x11, subtype: rfxcom.lighting2.AC, seqnbr: 3, id: "0x03FFFFFF",
+                                 unitcode: 1, command: "On", level: 15}))
+                .toEqual([0x0B, 0x11, 0x00, 0x03, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x01, 0x0F, 0x00]);
+        });
+        it("should encode an extended firmware status packet", function () {
+            var bytes = codec.encode({packetType: 0x01, subtype: 0, seqnbr: 1, cmnd: 2,
+                                      receiverType: "433.92MHz transceiver", hardwareVersion: "1.3",
+                                      firmwareVersion: 1001, firmwareType: "Ext", enabledProtocols: ["AC", "OREGON"]});
+            expect(bytes.length).toBe(21);
+            expect(codec.decode(bytes).enabledProtocols).toEqual(["AC", "OREGON"]);
+            expect(codec.decode(bytes).firmwareType).toBe("Ext");
+        });
+        it("should throw an error if the packet type is missing", function () {
+            expect(function () {
+                codec.encode({subtype: 0});
+            }).toThrow("Object to encode must have numeric packetType & subtype properties");
+        });
+    });
+    describe(".packetLength", function () {
+        it("should return the length byte of a fixed length packet type", function () {
+            expect(codec.packetLength(0x50)).toBe(0x08);
+            expect(codec.packetLength(0x5A)).toBe(0x11);
+        });
+        it("should return undefined for a variable length or unknown packet type", function () {
+            expect(codec.packetLength(0x01)).toBeUndefined();
+            expect(codec.packetLength(0x7F)).toBeUndefined();
+        });
+    });
+    describe(".schema", function () {
+        it("should describe fields which lie within the packet data", function () {
+            Object.keys(codec.schema).forEach(function (packetType) {
+                var entry = codec.schema[packetType];
+                (entry.fields || []).forEach(function (field) {
+                    if (typeof field.offset === "number") {
+                        expect(field.offset + (field.width || 1)*(field.count || 1)).not.toBeGreaterThan(entry.length);
+                    }
+                });
+            });
+        });
+        it("should decode the weight battery level from the low nibble, like other sensors", function () {
+            var evt = codec.decode([0x08, 0x5D, 0x01, 0xF5, 0x00, 0x07, 0x03, 0x40, 0x39]);
+            expect(evt.batteryLevel).toBe(9);
+            expect(evt.rssi).toBe(3);
+        });
+        it("should omit fields not present in the packet subtype", function () {
+            var evt = codec.decode([0x10, 0x56, 0x05, 0x0A, 0x2F, 0x00, 0x00, 0x87, 0x00, 0x00, 0x00, 0x14, 0x00,
+                                    0x00, 0x00, 0x00, 0x79]);
+            expect(evt.gustSpeed).toBe(2);
+            expect(evt.averageSpeed).toBeUndefined();
+            expect(evt.temperature).toBeUndefined();
+        });
+        it("should encode a command name when no command number is given", function () {
+            expect(codec.encode({packetType: 0x19, subtype: rfxcom.blinds1.BLINDS_T4, seqnbr: 1, id: "0x123456",
+                                 command: "Reverse"}))
+                .toEqual([0x09, 0x19, 0x04, 0x01, 0x12, 0x34, 0x56, 0x00, 0x07, 0x00]);
+        });
+        it("should encode a Camera1 command as sent by the Camera1 transmitter", function () {
+            expect(codec.encode({packetType: 0x28, subtype: rfxcom.camera1.X10_NINJA, seqnbr: 0, housecode: "A",
+                                 command: "Sweep"}))
+                .toEqual([0x06, 0x28, 0x00, 0x00, 0x41, 0x0E, 0x00]);
+        });
+        it("should decode the Camera1 Center & Program Center commands", function () {
+            expect(codec.decode([0x06, 0x28, 0x00, 0x01, 0x41, 0x0C, 0x50]).command).toBe("Center");
+            expect(codec.decode([0x06, 0x28, 0x00, 0x02, 0x41, 0x0D, 0x50]).command).toBe("Program Center");
+        });
+        it("should give a command number precedence over a command name", function () {
+            expect(codec.encode({packetType: 0x10, subtype: 0, housecode: "C", unitcode: 5, commandNumber: 1,
+                                 command: "Off"}))
+                .toEqual([0x07, 0x10, 0x00, 0x00, 0x43, 0x05, 0x01, 0x00]);
+        });
+    });
+    describe("round trip", function () {
+        var packets = [
+            [0x0D, 0x00, 0x00, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+            [0x0D, 0x01, 0x00, 0x01, 0x02, 0x53, 0x30, 0x00, 0x02, 0x21, 0x00, 0x01, 0x03, 0x00],
+            [0x14, 0x01, 0x07, 0x02, 0x07, 0x43, 0x6F, 0x70, 0x79, 0x72, 0x69, 0x67, 0x68, 0x74, 0x20, 0x52, 0x46,
+             0x58, 0x43, 0x4F, 0x4D],
+            [0x04, 0x02, 0x01, 0x05, 0x02],
+            [0x07, 0x03, 0x08, 0x02, 0x1A, 0x2D, 0x10, 0x75],
+            [0x07, 0x10, 0x01, 0x01, 0x43, 0x05, 0x01, 0x70],
+            [0x0B, 0x11, 0x00, 0x01, 0x03, 0x9A, 0xC7, 0xA1, 0x01, 0x00, 0x0F, 0xF0],
+            [0x08, 0x12, 0x00, 0x05, 0x0F, 0xFF, 0x03, 0x1C, 0x00],
+            [0x09, 0x13, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x5E, 0x50],
+            [0x0A, 0x14, 0x00, 0x01, 0xF0, 0x9A, 0xC7, 0x01, 0x00, 0x00, 0x80],
+            [0x0B, 0x15, 0x00, 0x01, 0xF0, 0x9A, 0x4B, 0x04, 0x01, 0x00, 0x00, 0x80],
+            [0x07, 0x16, 0x00, 0x01, 0x00, 0x9A, 0x03, 0x10],
+            [0x07, 0x16, 0x02, 0x02, 0x03, 0xFF, 0xFF, 0x20],
+            [0x08, 0x17, 0x00, 0x03, 0x00, 0x12, 0x34, 0x04, 0x50],
+            [0x08, 0x17, 0x02, 0x04, 0x00, 0x00, 0x0A, 0x05, 0x60],
+            [0x07, 0x18, 0x00, 0x04, 0x42, 0x0C, 0x02, 0x00],
+            [0x09, 0x19, 0x00, 0x05, 0x00, 0x12, 0x34, 0x05, 0x01, 0x80],
+            [0x09, 0x19, 0x03, 0x05, 0x12, 0x34, 0x56, 0x0F, 0x02, 0x80],
+            [0x0C, 0x1A, 0x00, 0x07, 0x01, 0x02, 0x03, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00],
+            [0x08, 0x20, 0x01, 0x00, 0xFF, 0xAA, 0x00, 0x84, 0x89],
+            [0x1C, 0x21, 0x00, 0x03, 0x8B, 0x3C, 0x11, 0xF0, 0x01, 0x23, 0x45, 0x67, 0x12, 0x00, 0x00, 0x00, 0x00,
+             0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x49],
+            [0x06, 0x28, 0x00, 0x03, 0x42, 0x06, 0x00],
+            [0x06, 0x30, 0x01, 0x01, 0x0A, 0x25, 0x70],
+            [0x0C, 0x31, 0x00, 0x02, 0x12, 0x34, 0x56, 0x78, 0x03, 0x06, 0x28, 0x5A, 0x59],
+            [0x09, 0x40, 0x00, 0x05, 0x6B, 0x9A, 0x15, 0x16, 0x81, 0x70],
+            [0x06, 0x41, 0x01, 0x06, 0x1F, 0x02, 0x00],
+            [0x08, 0x42, 0x01, 0x07, 0x12, 0x34, 0x56, 0x05, 0x50],
+            [0x0A, 0x4E, 0x01, 0x00, 0x00, 0x00, 0x00, 0x19, 0x00, 0x17, 0x89],
+            [0x0A, 0x4F, 0x01, 0x01, 0xDE, 0xAD, 0x80, 0x64, 0x02, 0xEE, 0x09],
+            [0x08, 0x50, 0x01, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x9F],
+            [0x08, 0x51, 0x01, 0x02, 0x77, 0x00, 0x36, 0x01, 0x89],
+            [0x0A, 0x52, 0x03, 0x04, 0xAF, 0x01, 0x80, 0x90, 0x36, 0x02, 0x59],
+            [0x0D, 0x54, 0x02, 0x0E, 0xE9, 0x00, 0x80, 0xC9, 0x27, 0x02, 0x03, 0xE7, 0x04, 0x39],
+            [0x0B, 0x55, 0x02, 0x17, 0xB6, 0x00, 0x01, 0x21, 0x00, 0x4D, 0x3C, 0x69],
+            [0x10, 0x56, 0x04, 0x0A, 0x2F, 0x00, 0x00, 0x87, 0x00, 0x00, 0x00, 0x14, 0x80, 0x4D, 0x80, 0x55, 0x79],
+            [0x09, 0x57, 0x01, 0x13, 0xF1, 0xD0, 0x0A, 0x80, 0x32, 0x79],
+            [0x0D, 0x59, 0x01, 0x0F, 0x86, 0x00, 0x04, 0x00, 0x1D, 0x00, 0x00, 0x00, 0x00, 0x49],
+            [0x11, 0x5A, 0x01, 0x07, 0x1A, 0x73, 0x00, 0x00, 0x00, 0x03, 0xF6, 0x00, 0x00, 0x00, 0x00, 0x35, 0x0B, 0x89],
+            [0x13, 0x5B, 0x01, 0x06, 0xB8, 0x00, 0x00, 0x00, 0x16, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x6F,
+             0x14, 0x88, 0x89],
+            [0x0F, 0x5C, 0x01, 0x05, 0x00, 0x2D, 0xE3, 0x00, 0x14, 0x01, 0xBD, 0x00, 0x03, 0x64, 0x32, 0x80],
+            [0x08, 0x5D, 0x01, 0xF5, 0x00, 0x07, 0x03, 0x40, 0x39],
+            [0x07, 0x70, 0x00, 0x02, 0x08, 0x80, 0x96, 0x50],
+            [0x07, 0x70, 0x01, 0xEB, 0x28, 0x01, 0x81, 0x70],
+            [0x0A, 0x71, 0x00, 0x37, 0x08, 0xF8, 0x00, 0x8A, 0x64, 0x67, 0x00]
+        ];
+        packets.forEach(function (packet) {
+            it("should encode the decoded packet type 0x" + ("0" + packet[1].toString(16)).slice(-2) +
+               ", subtype " + packet[2] + " to the original bytes", function () {
+                expect(codec.encode(codec.decode(packet))).toEqual(packet);
+            });
+            it("should decode packet type 0x" + ("0" + packet[1].toString(16)).slice(-2) + ", subtype " + packet[2] +
+               " from a Buffer to the same object as from an array", function () {
+                expect(codec.decode(Buffer.from(packet))).toEqual(codec.decode(packet));
+            });
+        });
+    });
+});
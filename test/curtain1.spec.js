@@ -35,6 +35,7 @@ describe('Curtain1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x18, 0x00, 0x00, 0x41, 0x01, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should log the bytes being sent in debug mode', function (done) {
@@ -59,6 +60,14 @@ describe('Curtain1 class', function () {
             curtain1.open('0x41/10');
             expect(fakeSerialPort).toHaveSent([0x07, 0x18, 0x00, 0x00, 0x41, 0x10, 0x00, 0x00]);
         });
+        it('should return a Promise which resolves when the RFXtrx acknowledges the command', function (done) {
+            curtain1.open('0x41/10').then(function (response) {
+                expect(response.seqnbr).toBe(0);
+                expect(response.responseCode).toBe(rfxcom.responseCode.OK);
+                done();
+            });
+            device.messageHandler([0x00, 0x00, 0x00]);
+        });
     });
     describe('.close', function () {
         beforeEach(function () {
@@ -71,6 +80,7 @@ describe('Curtain1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x18, 0x00, 0x00, 0xA5, 0x01, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
     });
@@ -85,6 +95,7 @@ describe('Curtain1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x18, 0x00, 0x00, 0x41, 0x01, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
     });
@@ -99,6 +110,7 @@ describe('Curtain1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x18, 0x00, 0x00, 0x41, 0x01, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
     });
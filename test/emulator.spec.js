@@ -0,0 +1,114 @@
+/* global require: false, describe: false, module */
+var rfxcom = require('../lib');
+
+describe("Emulator", function () {
+    var emulator, device;
+    beforeEach(function () {
+        emulator = new rfxcom.Emulator({protocols: [rfxcom.protocols.AC, rfxcom.protocols.OREGON], responseDelay: 1});
+        device = new rfxcom.RfxCom("emulator", {transport: emulator.transport()});
+        device.initialiseWaitTime = 500;
+    });
+    afterEach(function () {
+        device.close();
+    });
+    it("should answer the initialisation sequence like an RFXtrx433E", function (done) {
+        var status = null;
+        device.on("status", function (evt) {
+            status = evt;
+        });
+        device.initialise(function () {
+            expect(status.receiverType).toBe("433.92MHz transceiver");
+            expect(status.firmwareVersion).toBe(1001);
+            expect(status.firmwareType).toBe("Ext");
+            expect(status.hardwareVersion).toBe("1.3");
+            expect(status.enabledProtocols).toEqual(["AC", "OREGON"]);
+            expect(emulator.receiving).toBeTruthy();
+            done();
+        });
+    });
+    it("should report the protocols set by enable()", function (done) {
+        device.initialise(function () {
+            device.enable([rfxcom.protocols.LACROSSE, rfxcom.protocols.X10], function (err, status) {
+                expect(err).toBeNull();
+                expect(status.enabledProtocols).toEqual(["LACROSSE", "X10"]);
+                device.getStatus(function (err, status) {
+                    expect(status.enabledProtocols).toEqual(["LACROSSE", "X10"]);
+                    done();
+                });
+            });
+        });
+    });
+    it("should acknowledge transmitted commands", function (done) {
+        var lighting2 = new rfxcom.Lighting2(device, rfxcom.lighting2.AC);
+        device.initialise(function () {
+            lighting2.switchOn("0x03FFFFFF/1").then(function (response) {
+                expect(response.responseCode).toBe(rfxcom.responseCode.OK);
+                expect(emulator.written[emulator.written.length - 1])
+                    .toEqual([0x0B, 0x11, 0x00, 0x03, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x01, 0x0F, 0x00]);
+                done();
+            });
+        });
+    });
+    it("should fail a command when scripted to", function (done) {
+        var lighting2 = new rfxcom.Lighting2(device, rfxcom.lighting2.AC);
+        device.initialise(function () {
+            emulator.script([{fail: rfxcom.responseCode.TX_LOCK_FAILED}]).then(function () {
+                lighting2.switchOn("0x03FFFFFF/1").catch(function (err) {
+                    expect(err instanceof rfxcom.ResponseError).toBeTruthy();
+                    expect(err.responseCode).toBe(rfxcom.responseCode.TX_LOCK_FAILED);
+                    done();
+                });
+            });
+        });
+    });
+    it("should deliver scripted sensor packets after scripted delays", function (done) {
+        var start;
+        device.on("temp1", function (evt) {
+            expect(Date.now() - start).not.toBeLessThan(50);
+            expect(evt.temperature).toBe(-2.0);
+            done();
+        });
+        device.initialise(function () {
+            start = Date.now();
+            emulator.script([
+                {delay: 50},
+                {receive: [0x08, 0x50, 0x01, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x42]}
+            ]);
+        });
+    });
+    it("should simulate a disconnection", function (done) {
+        device.on("disconnect", function () {
+            expect(device.connected).toBeFalsy();
+            expect(emulator.isOpen).toBeFalsy();
+            done();
+        });
+        device.initialise(function () {
+            emulator.script([{disconnect: "Unplugged"}]);
+        });
+    });
+    it("should not accumulate listeners when reconnected repeatedly", function (done) {
+        var reconnections = 0;
+        device.close();
+        device = new rfxcom.RfxCom("emulator", {transport: emulator.transport(), reconnect: true, reconnectDelay: 1});
+        device.initialiseWaitTime = 0;
+        device.on("reconnected", function () {
+            reconnections++;
+            expect(emulator.listeners("open").length).toBe(1);
+            expect(emulator.listeners("data").length).toBe(1);
+            if (reconnections < 3) {
+                emulator.disconnect("Unplugged");
+            } else {
+                done();
+            }
+        });
+        device.initialise(function () {
+            emulator.disconnect("Unplugged");
+        });
+    });
+    it("should reject an invalid script step", function (done) {
+        emulator.script([{explode: true}]).catch(function (err) {
+            expect(err.message).toBe('Invalid script step {"explode":true}');
+            done();
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/* global require: false, beforeEach: false, describe: false, it: false, expect: false */
+var rfxcom = require('../lib'),
+    matchers = require('./matchers'),
+    FakeSerialPort = require('./helper');
+
+describe('Fan1 class', function () {
+    var fan1,
+        fakeSerialPort,
+        device;
+    beforeEach(function () {
+        this.addMatchers({
+            toHaveSent: matchers.toHaveSent
+        });
+        fakeSerialPort = new FakeSerialPort();
+        device = new rfxcom.RfxCom('/dev/ttyUSB0', {
+            port: fakeSerialPort
+        });
+        device.connected = true;
+    });
+    afterEach(function () {
+        if (typeof device.acknowledge[0] === "function") {
+            device.acknowledge[0]();
+        }
+    });
+    describe('instantiation', function () {
+        it('should throw an error if no subtype is specified', function () {
+            expect(function () {
+                fan1 = new rfxcom.Fan1(device);
+            }).toThrow("Must provide a subtype.");
+        });
+    });
+    describe('Siemens SF01', function () {
+        beforeEach(function () {
+            fan1 = new rfxcom.Fan1(device, rfxcom.fan1.SIEMENS_SF01);
+        });
+        it('should send the correct bytes for increaseSpeed', function (done) {
+            var sentCommandId = NaN;
+            fan1.increaseSpeed('0x1234', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x00, 0x00, 0x00, 0x12, 0x34, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for decreaseSpeed', function (done) {
+            var sentCommandId = NaN;
+            fan1.decreaseSpeed('0x1234', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x00, 0x00, 0x00, 0x12, 0x34, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for startTimer', function (done) {
+            var sentCommandId = NaN;
+            fan1.startTimer('0x1234', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x00, 0x00, 0x00, 0x12, 0x34, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for toggleLight', function (done) {
+            var sentCommandId = NaN;
+            fan1.toggleLight('0x1234', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x00, 0x00, 0x00, 0x12, 0x34, 0x06, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for learn', function (done) {
+            var sentCommandId = NaN;
+            fan1.learn('0x1234', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x00, 0x00, 0x00, 0x12, 0x34, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should accept an array address', function (done) {
+            var sentCommandId = NaN;
+            fan1.confirm(['0x1234'], function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x00, 0x00, 0x00, 0x12, 0x34, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a command it does not support', function () {
+            expect(function () {
+                fan1.switchOff('0x1234');
+            }).toThrow("Device does not support switchOff()");
+        });
+        it('should throw an error with an invalid device ID', function () {
+            expect(function () {
+                fan1.learn('0x12345');
+            }).toThrow("Address 0x12345 outside valid range");
+        });
+        it('should throw an error with an invalid device ID format', function () {
+            expect(function () {
+                fan1.learn('0x1234/1');
+            }).toThrow("Invalid deviceId format");
+        });
+    });
+    describe('Lucci Air', function () {
+        beforeEach(function () {
+            fan1 = new rfxcom.Fan1(device, rfxcom.fan1.LUCCI_AIR);
+        });
+        it('should send the correct bytes for setSpeed', function (done) {
+            var sentCommandId = NaN;
+            fan1.setSpeed('0x0A', 'high', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x02, 0x00, 0x00, 0x00, 0x0A, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for switchOff', function (done) {
+            var sentCommandId = NaN;
+            fan1.switchOff('0x0A', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x02, 0x00, 0x00, 0x00, 0x0A, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes for toggleLight', function (done) {
+            var sentCommandId = NaN;
+            fan1.toggleLight('0x0A', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x17, 0x02, 0x00, 0x00, 0x00, 0x0A, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid speed', function () {
+            expect(function () {
+                fan1.setSpeed('0x0A', 'fast');
+            }).toThrow("Invalid speed 'fast'");
+        });
+        it('should throw an error for a command it does not support', function () {
+            expect(function () {
+                fan1.increaseSpeed('0x0A');
+            }).toThrow("Device does not support increaseSpeed()");
+        });
+        it('should throw an error with an invalid device ID', function () {
+            expect(function () {
+                fan1.switchOff('0x10');
+            }).toThrow("Address 0x10 outside valid range");
+        });
+    });
+});
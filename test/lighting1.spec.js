@@ -42,6 +42,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x01, 0x00, 0x43, 0x0E, 0x07, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -51,6 +52,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x01, 0x00, 0x43, 0x0E, 0x07, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should log the bytes being sent in debug mode', function (done) {
@@ -87,6 +89,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x00, 0x00, 0x43, 0x0E, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a group command', function (done) {
@@ -96,6 +99,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x00, 0x00, 0x43, 0x00, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a dim command', function (done) {
@@ -105,6 +109,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x00, 0x00, 0x43, 0x02, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a bright command', function (done) {
@@ -114,6 +119,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x00, 0x00, 0x43, 0x02, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should reject a group bright command', function () {
@@ -153,6 +159,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x04, 0x00, 0x43, 0x04, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should reject an invalid house code', function () {
@@ -177,6 +184,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x0a, 0x00, 0x44, 0x04, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should reject an invalid house code', function () {
@@ -201,6 +209,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x05, 0x00, 0x50, 0x40, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should reject an invalid house code', function () {
@@ -225,6 +234,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x07, 0x00, 0x50, 0x08, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should reject an invalid house code', function () {
@@ -249,6 +259,7 @@ describe('Lighting1 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x07, 0x10, 0x09, 0x00, 0x50, 0x0a, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should reject an invalid house code', function () {
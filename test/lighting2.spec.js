@@ -42,6 +42,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0B, 0x11, 0x02, 0x00, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x01, 0x0F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -51,6 +52,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0B, 0x11, 0x02, 0x00, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x01, 0x0F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should handle a group address correctly', function (done) {
@@ -60,6 +62,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0B, 0x11, 0x02, 0x00, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x04, 0x0F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should log the bytes being sent in debug mode', function (done) {
@@ -100,6 +103,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0b, 0x11, 2, 0, 3, 0xff, 0xff, 0xff, 1, 0, 0, 0]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should handle a group address correctly', function (done) {
@@ -109,6 +113,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0B, 0x11, 0x02, 0x00, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x03, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should handle no callback', function () {
@@ -127,6 +132,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0xb, 0x11, 2, 0, 3, 0xff, 0xff, 0xff, 1, 2, 7, 0]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should handle a group address correctly', function (done) {
@@ -136,6 +142,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0B, 0x11, 0x02, 0x00, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x05, 0x07, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid level value', function () {
@@ -159,6 +166,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0B, 0x11, 0x03, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0x01, 0x01, 0x0F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport for switchOff', function (done) {
@@ -168,6 +176,7 @@ describe('Lighting2 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0B, 0x11, 0x03, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with a group address', function () {
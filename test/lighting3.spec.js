@@ -42,6 +42,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x00, 0x01, 0x00, 0x10, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -51,6 +52,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x00, 0x01, 0x00, 0x10, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a switchOff command', function (done) {
@@ -60,6 +62,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x00, 0x01, 0x00, 0x1a, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a decreaseLevel command', function (done) {
@@ -69,6 +72,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x00, 0x01, 0x00, 0x08, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an increaseLevel command', function (done) {
@@ -78,6 +82,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept a setLevel command', function (done) {
@@ -87,6 +92,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x00, 0x01, 0x00, 0x17, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an out of range setLevel(level)', function () {
@@ -101,6 +107,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x00, 0x01, 0x00, 0x1c, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should handle a group address correctly', function (done) {
@@ -110,6 +117,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x0f, 0xff, 0x03, 0x10, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should log the bytes being sent in debug mode', function (done) {
@@ -131,6 +139,7 @@ describe('Lighting3 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x08, 0x12, 0x00, 0x00, 0x0f, 0x00, 0x02, 0x10, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with a badly formatted deviceId', function () {
@@ -42,6 +42,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x5E, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should log the bytes being sent in debug mode', function (done) {
@@ -65,6 +66,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x00, 0x00, 0x05, 0x78, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport (string data, default pulse width)', function (done) {
@@ -74,6 +76,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x5E, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport (array data, default pulse width)', function (done) {
@@ -83,6 +86,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x01, 0x02, 0x01, 0x5E, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport (undersize array data, default pulse width)', function (done) {
@@ -92,6 +96,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x01, 0x02, 0x01, 0x5E, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport (hex string data, default pulse width)', function (done) {
@@ -101,6 +106,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x01, 0x02, 0x01, 0x5E, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport (hex string data, hex string pulse width)', function (done) {
@@ -110,6 +116,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x01, 0x02, 0x03, 0x12, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport (decimal string data, decimal string pulse width)', function (done) {
@@ -119,6 +126,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x01, 0x02, 0x03, 0x12, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should send the correct bytes to the serialport (numeric data, numeric pulse width)', function (done) {
@@ -128,6 +136,7 @@ describe('Lighting4 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x09, 0x13, 0x00, 0x00, 0x00, 0x01, 0x02, 0x03, 0x12, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
     });
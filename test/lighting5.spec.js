@@ -46,6 +46,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x00, 0x00, 0xF0, 0x9A, 0xC8, 0x01, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should accept an array deviceId', function (done) {
@@ -55,6 +56,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x00, 0x00, 0xF0, 0x9A, 0xC8, 0x01, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid deviceId', function () {
@@ -69,6 +71,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x00, 0x00, 0xF0, 0x9A, 0xC8, 0x01, 0x05, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
         it('should throw an exception with an invalid mood value', function () {
             expect(function () {
@@ -84,6 +87,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x00, 0x00, 0xF0, 0x9A, 0xC8, 0x01, 0x10, 0x10, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
         it('should handle no callback', function () {
             lighting5.switchOn('0xF09AC8/1', {
@@ -119,6 +123,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x01, 0x00, 0x00, 0x0A, 0xC8, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should handle no callback', function () {
@@ -135,6 +140,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x00, 0x00, 0xF0, 0x9A, 0xC8, 0x01, 0x10, 0x10, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
         it('should throw an exception with an invalid level', function () {
             expect(function () {
@@ -151,6 +157,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x00, 0x00, 0xF0, 0x9A, 0xC8, 0x01, 0x05, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
         it('should throw an exception with an invalid mood value', function () {
             expect(function () {
@@ -169,6 +176,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x00, 0x00, 0xff, 0xff, 0xff, 0x10, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an badly formatted address', function () {
@@ -213,6 +221,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x01, 0x00, 0x00, 0x3f, 0xff, 0x04, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid address', function () {
@@ -242,6 +251,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x02, 0x00, 0x07, 0xff, 0xff, 0x06, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid address', function () {
@@ -266,6 +276,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x03, 0x00, 0x00, 0xff, 0xff, 0x01, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid address', function () {
@@ -290,6 +301,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x04, 0x00, 0xff, 0xff, 0xff, 0x10, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid unit number', function () {
@@ -309,6 +321,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x05, 0x00, 0x00, 0xff, 0xff, 0x01, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid address', function () {
@@ -333,6 +346,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x06, 0x00, 0xff, 0xff, 0xff, 0x01, 0x01, 0x1F, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
             expect(sentCommandId).toEqual(0);
         });
         it('should throw an exception with an invalid address', function () {
@@ -355,24 +369,28 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x05, 0x00, 0x00, 0xff, 0xff, 0x01, 0x02, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
         it('should accept a decreaseLevel command', function (done) {
             lighting5.decreaseLevel('0xFFFF', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x05, 0x00, 0x00, 0xff, 0xff, 0x01, 0x03, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
         it('should accept a toggleOnOff command', function (done) {
             lighting5.toggleOnOff('0xFFFF', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x05, 0x00, 0x00, 0xff, 0xff, 0x01, 0x01, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
         it('should accept a switchOff command', function (done) {
             lighting5.switchOff('0xFFFF', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x05, 0x00, 0x00, 0xff, 0xff, 0x01, 0x00, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
     });
     describe('.EMW100.specificCommands', function () {
@@ -384,6 +402,7 @@ describe('Lighting5 class', function () {
                 done();
             });
             expect(fakeSerialPort).toHaveSent([0x0A, 0x14, 0x01, 0x00, 0x00, 0x3f, 0xff, 0x01, 0x02, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
         });
     });
 });
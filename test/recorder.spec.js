@@ -0,0 +1,57 @@
+/* global require: false, describe: false, module */
+var rfxcom = require('../lib'),
+    FakeSerialPort = require('./helper'),
+    stream = require('stream');
+
+describe("Recorder", function () {
+    var fakeSerialPort, device, lines, destination;
+    beforeEach(function () {
+        fakeSerialPort = new FakeSerialPort();
+        device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+            port: fakeSerialPort
+        });
+        device.open();
+        lines = [];
+        destination = new stream.Writable({
+            write: function (chunk, encoding, callback) {
+                lines.push(JSON.parse(chunk.toString()));
+                callback();
+            }
+        });
+    });
+    it("should record received and transmitted packets with timestamps and direction", function () {
+        var recorder = new rfxcom.Recorder(device, destination).start(),
+            before = Date.now();
+        fakeSerialPort.emit("data", [0x04, 0x02, 0x01, 0x00, 0x00]);
+        device.transmit([0x04, 0x10, 0x00, 0x05, 0x00], 5);
+        recorder.stop();
+        expect(lines.length).toBe(2);
+        expect(lines[0].direction).toBe("receive");
+        expect(lines[0].packet).toEqual([0x04, 0x02, 0x01, 0x00, 0x00]);
+        expect(lines[0].timestamp).not.toBeLessThan(before);
+        expect(lines[1].direction).toBe("transmit");
+        expect(lines[1].packet).toEqual([0x04, 0x10, 0x00, 0x05, 0x00]);
+    });
+    it("should stop recording when stopped", function (done) {
+        var recorder = new rfxcom.Recorder(device, destination).start();
+        recorder.stop(function () {
+            fakeSerialPort.emit("data", [0x04, 0x02, 0x01, 0x00, 0x00]);
+            expect(lines.length).toBe(0);
+            done();
+        });
+    });
+    it("should stop recording if the destination file cannot be written", function (done) {
+        var recorder = new rfxcom.Recorder(device, "/nonexistent/dir/x.jsonl");
+        spyOn(device, "debugLog").andCallFake(function (message) {
+            if (/^Error   : Recording/.test(message)) {
+                expect(message).toMatch(/ENOENT/);
+                expect(recorder.stream).toBeNull();
+                expect(device.listeners("receive").length).toBe(0);
+                expect(device.listeners("transmit").length).toBe(0);
+                fakeSerialPort.emit("data", [0x04, 0x02, 0x01, 0x00, 0x00]);
+                recorder.stop(done);
+            }
+        });
+        recorder.start();
+    });
+});
@@ -0,0 +1,101 @@
+/* global require: false, describe: false, module */
+var rfxcom = require('../lib'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+describe("Replay", function () {
+    var device, records;
+    beforeEach(function () {
+        device = new rfxcom.RfxCom("/dev/ttyUSB0");
+        records = [
+            {timestamp: 1000, direction: "receive", packet: [0x08, 0x50, 0x01, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x42]},
+            {timestamp: 1050, direction: "transmit", packet: [0x04, 0x10, 0x00, 0x05, 0x00]},
+            {timestamp: 1100, direction: "receive", packet: [0x08, 0x50, 0x02, 0x02, 0xFA, 0xAF, 0x80, 0x14, 0x42]}
+        ];
+    });
+    describe(".parse", function () {
+        it("should parse a recording", function () {
+            var text = records.map(function (record) {
+                return JSON.stringify(record);
+            }).join("\n") + "\n";
+            expect(rfxcom.Replay.parse(text)).toEqual(records);
+        });
+        it("should throw an error identifying an invalid record", function () {
+            expect(function () {
+                rfxcom.Replay.parse(JSON.stringify(records[0]) + "\n{\"timestamp\": 1}\n");
+            }).toThrow("Invalid record at line 2");
+        });
+    });
+    describe(".start", function () {
+        it("should feed received packets through the packet handlers, with the original timing", function (done) {
+            var start = Date.now(), events = [];
+            device.on("temp1", function (evt) {
+                events.push(["temp1", evt.id]);
+            });
+            device.on("temp2", function (evt) {
+                events.push(["temp2", evt.id]);
+                expect(Date.now() - start).not.toBeLessThan(100);
+            });
+            new rfxcom.Replay(device, records).start(function (err) {
+                expect(err).toBeFalsy();
+                expect(events).toEqual([["temp1", "0xFAAF"], ["temp2", "0xFAAF"]]);
+                expect(device.receiving).toBeFalsy();
+                done();
+            });
+        });
+        it("should skip interface status & command response packets", function (done) {
+            var pending = jasmine.createSpy("pending"),
+                statusSpy = jasmine.createSpy("status"),
+                temp1Spy = jasmine.createSpy("temp1");
+            device.acknowledge[0x01] = pending;
+            device.on("status", statusSpy);
+            device.on("temp1", temp1Spy);
+            records = [
+                {timestamp: 1000, direction: "receive", packet: [0x04, 0x02, 0x01, 0x01, 0x00]},
+                {timestamp: 1000, direction: "receive", packet: [0x0D, 0x01, 0x00, 0x02, 0x02, 0x53, 0x30, 0x00,
+                                                                   0x02, 0x21, 0x00, 0x01, 0x03, 0x00]},
+                {timestamp: 1000, direction: "receive", packet: [0x08, 0x50, 0x01, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x42]}
+            ];
+            new rfxcom.Replay(device, records, {speed: Infinity}).start(function (err) {
+                expect(err).toBeFalsy();
+                expect(pending).not.toHaveBeenCalled();
+                expect(statusSpy).not.toHaveBeenCalled();
+                expect(temp1Spy).toHaveBeenCalled();
+                done();
+            });
+        });
+        it("should play back faster with a speed multiplier", function (done) {
+            var start = Date.now();
+            records[2].timestamp = 11000;
+            new rfxcom.Replay(device, records, {speed: 100}).start().then(function () {
+                expect(Date.now() - start).toBeLessThan(1000);
+                done();
+            });
+        });
+        it("should play back a recording file", function (done) {
+            var file = path.join(os.tmpdir(), "rfxcom-replay-" + process.pid + ".json"),
+                temp1Spy = jasmine.createSpy("temp1");
+            fs.writeFileSync(file, records.map(function (record) {
+                return JSON.stringify(record);
+            }).join("\n"));
+            device.on("temp1", temp1Spy);
+            new rfxcom.Replay(device, file, {speed: Infinity}).start(function (err) {
+                fs.unlinkSync(file);
+                expect(err).toBeFalsy();
+                expect(temp1Spy).toHaveBeenCalled();
+                done();
+            });
+        });
+        it("should report an error when stopped", function (done) {
+            var replay = new rfxcom.Replay(device, records);
+            replay.start(function (err) {
+                expect(err.message).toBe("Replay stopped");
+                done();
+            });
+            setTimeout(function () {
+                replay.stop();
+            }, 10);
+        });
+    });
+});
@@ -156,6 +156,18 @@ describe("RfxCom", function() {
                 device.open();
                 fakeSerialPort.emit("data", [0x0D, 0x54, 0x02, 0x0E, 0xE9, 0x00, 0x00, 0xC9, 0x27, 0x02, 0x03, 0xE7, 0x04, 0x39]);
             });
+            it("should emit an undecoded message when it receives message type 0x03", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/", {
+                        port: fakeSerialPort
+                    });
+                device.on("undecoded", function(evt) {
+                    expect(evt.protocol).toBe("AC");
+                    done();
+                });
+                device.open();
+                fakeSerialPort.emit("data", [0x07, 0x03, 0x00, 0x00, 0x01, 0x02, 0x03, 0x04]);
+            });
             it("should emit a weight1 message when it receives message type 0x5D", function(done) {
                 var fakeSerialPort = new FakeSerialPort(),
                     device = new rfxcom.RfxCom("/", {
@@ -203,32 +215,246 @@ describe("RfxCom", function() {
                 device.open();
                 fakeSerialPort.emit("error", "connectfailed\n");
             });
+            it("should reject a returned Promise if the serial port device file does not exist", function (done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/tty-i-dont-exist", {
+                        port: fakeSerialPort
+                    });
+                device.initialise().catch(function (err) {
+                    expect(err instanceof rfxcom.RfxComError).toBeTruthy();
+                    expect(err.message).toBe("connectfailed\n");
+                    done();
+                });
+                fakeSerialPort.emit("error", "connectfailed\n");
+            });
             it("should prepare the device for use.", function(done) {
                 var fakeSerialPort = new FakeSerialPort(),
                     device = new rfxcom.RfxCom("/dev/ttyUSB0", {
                         port: fakeSerialPort
                     }),
+                    states = [],
                     resetSpy = spyOn(device, "reset").andCallThrough(),
-                    delaySpy = spyOn(device, "delay"),
                     flushSpy = spyOn(device, "flush").andCallThrough(),
                     startRxSpy = spyOn(device, "startRx").andCallThrough(),
-                    getStatusSpy = spyOn(device, "getStatus").andCallFake(function () {
-                        device.statusHandler([0x00,0x01,0x02,0x53,0x5E,0x08,0x02,0x25,0x00,0x01,0x01,0x1C])
-                    }),
+                    getStatusSpy = spyOn(device, "getStatus").andCallThrough(),
                     openSpy = spyOn(device, "open").andCallFake(function() {
+                        device.connected = true;
                         device.emit("ready");
                     });
 
-                var handler = function() {
+                device.on("initialisestate", function (state) {
+                    states.push(state);
+                    // Respond to the getStatus & startRx commands once they have been sent
+                    if (state === rfxcom.initialiseState.GET_STATUS) {
+                        setTimeout(function () {
+                            device.statusHandler([0x00,0x01,0x02,0x53,0x5E,0x08,0x02,0x25,0x00,0x01,0x01,0x1C]);
+                        }, 0);
+                    } else if (state === rfxcom.initialiseState.START_RX) {
+                        setTimeout(function () {
+                            device.statusHandler([0x07, 0x02, 0x07, 0x43, 0x6F, 0x70, 0x79, 0x72, 0x69, 0x67, 0x68,
+                                                  0x74, 0x20, 0x52, 0x46, 0x58, 0x43, 0x4F, 0x4D]);
+                        }, 0);
+                    }
+                });
+                device.initialise(function () {
+                    expect(openSpy).toHaveBeenCalled();
+                    expect(resetSpy).toHaveBeenCalled();
+                    expect(flushSpy).toHaveBeenCalledWith(jasmine.any(Function));
+                    expect(getStatusSpy).toHaveBeenCalledWith(jasmine.any(Function));
+                    expect(startRxSpy).toHaveBeenCalledWith(jasmine.any(Function));
+                    expect(states).toEqual(["reset", "flush", "getStatus", "startRx", "ready"]);
+                    expect(device.initialiseState).toBe(rfxcom.initialiseState.READY);
+                    expect(device.initialising).toBeFalsy();
+                    done();
+                });
+            });
+            it("should not block the event loop while waiting after the reset", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: fakeSerialPort
+                    });
+                device.on("initialisestate", function (state) {
+                    if (state === rfxcom.initialiseState.RESET) {
+                        setTimeout(function () {
+                            expect(device.initialiseState).toBe(rfxcom.initialiseState.RESET);
+                            device.close();
+                            done();
+                        }, 100);
+                    }
+                });
+                device.connected = true;
+                device.emit("ready");
+            });
+            it("should report the initialisation step which failed", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: fakeSerialPort,
+                        initialiseTimeouts: {getStatus: 50}
+                    });
+                expect(device.initialiseTimeouts.startRx).toBe(5000);
+                device.on("disconnect", function (err) {
+                    expect(err instanceof rfxcom.InitialiseError).toBeTruthy();
+                    expect(err.step).toBe(rfxcom.initialiseState.GET_STATUS);
+                    expect(err.message).toBe("Initialisation failed at step 'getStatus': Timed out after 50ms");
+                    expect(device.initialiseState).toBe(rfxcom.initialiseState.CLOSED);
+                    done();
+                });
+                device.connected = true;
+                device.emit("ready");
+            });
+        });
+
+        describe("automatic reconnection", function () {
+            var fakeSerialPort, device;
+            beforeEach(function () {
+                fakeSerialPort = new FakeSerialPort();
+                device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                    port: fakeSerialPort,
+                    reconnect: true,
+                    reconnectDelay: 10,
+                    reconnectMaxDelay: 30
+                });
+                device.initialiseWaitTime = 0;
+                device.open();
+                fakeSerialPort.emit("open");
+            });
+            afterEach(function () {
+                device.close();
+            });
+            it("should not reconnect unless enabled", function (done) {
+                var plainDevice = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: fakeSerialPort
+                    }),
+                    reconnectingSpy = jasmine.createSpy("reconnecting");
+                plainDevice.on("reconnecting", reconnectingSpy);
+                plainDevice.on("disconnect", function () {
+                    expect(reconnectingSpy).not.toHaveBeenCalled();
+                    expect(plainDevice.reconnecting).toBeFalsy();
+                    done();
+                });
+                plainDevice.open();
+                fakeSerialPort.emit("open");
+                fakeSerialPort.emit("disconnect", "Disconnected");
+            });
+            it("should emit a disconnect event followed by a reconnecting event", function (done) {
+                var disconnected = false;
+                device.on("disconnect", function () {
+                    disconnected = true;
+                });
+                device.on("reconnecting", function (attempt, delay) {
+                    expect(disconnected).toBeTruthy();
+                    expect(attempt).toBe(1);
+                    expect(delay).toBe(10);
+                    done();
+                });
+                fakeSerialPort.emit("disconnect", "Disconnected");
+            });
+            it("should back off exponentially up to the maximum delay", function (done) {
+                var delays = [];
+                spyOn(device, "open").andCallFake(function () {
+                    device._connectionLost("Cannot open");
+                });
+                device.on("reconnecting", function (attempt, delay) {
+                    delays.push(delay);
+                    if (attempt === 4) {
+                        expect(delays).toEqual([10, 20, 30, 30]);
+                        done();
+                    }
+                });
+                fakeSerialPort.emit("disconnect", "Disconnected");
+            });
+            it("should never wait less than initialiseWaitTime between attempts", function (done) {
+                device.initialiseWaitTime = 50;
+                device.on("reconnecting", function (attempt, delay) {
+                    expect(delay).toBe(50);
                     done();
+                });
+                fakeSerialPort.emit("disconnect", "Disconnected");
+            });
+            it("should stop reconnecting when closed", function (done) {
+                var openSpy = spyOn(device, "open");
+                device.on("reconnecting", function () {
+                    device.close();
+                    setTimeout(function () {
+                        expect(openSpy).not.toHaveBeenCalled();
+                        expect(device.reconnecting).toBeFalsy();
+                        done();
+                    }, 30);
+                });
+                fakeSerialPort.emit("disconnect", "Disconnected");
+            });
+            it("should re-enable protocols, and send commands queued during the outage, once reconnected", function (done) {
+                var enableSpy, sender = {
+                    _timeoutHandler: function () {
+                        return false;
+                    }
                 };
-                device.initialise(handler);
-                expect(resetSpy).toHaveBeenCalled();
-                expect(delaySpy).toHaveBeenCalledWith(500);
-                expect(flushSpy).toHaveBeenCalledWith(jasmine.any(Function));
-                expect(getStatusSpy).toHaveBeenCalledWith(jasmine.any(Function));
-                expect(startRxSpy).toHaveBeenCalledWith(jasmine.any(Function));
-                expect(openSpy).toHaveBeenCalled();
+                device.enable([protocols.AC, protocols.X10], function () {});
+                enableSpy = spyOn(device, "enable").andCallFake(function (protocols, callback) {
+                    // Nothing is sent until the protocols have been re-enabled
+                    expect(fakeSerialPort).toHaveSent([]);
+                    callback(null);
+                });
+                spyOn(device, "open").andCallFake(function () {
+                    device.serialport = fakeSerialPort;
+                    device.connected = true;
+                    device.initialising = false;
+                    device.readyCallback();
+                });
+                device.on("reconnected", function () {
+                    expect(enableSpy).toHaveBeenCalledWith([protocols.AC, protocols.X10], jasmine.any(Function));
+                    expect(device.reconnecting).toBeFalsy();
+                    expect(fakeSerialPort).toHaveSent([0x04, 0x10, 0x00, 0x05, 0x00]);
+                    done();
+                });
+                fakeSerialPort.emit("disconnect", "Disconnected");
+                fakeSerialPort.bytesWritten = [];
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5, function () {});
+                expect(fakeSerialPort).toHaveSent([]);
+            });
+            it("should not settle the initialise() Promise until reconnected", function (done) {
+                var port = new FakeSerialPort(),
+                    reconnectingDevice = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: port,
+                        reconnect: true,
+                        reconnectDelay: 10
+                    }),
+                    reconnected = false;
+                reconnectingDevice.initialiseWaitTime = 0;
+                reconnectingDevice.initialise().then(function () {
+                    expect(reconnected).toBeTruthy();
+                    reconnectingDevice.close();
+                    done();
+                });
+                reconnectingDevice.on("reconnecting", function () {
+                    spyOn(reconnectingDevice, "open").andCallFake(function () {
+                        reconnectingDevice.serialport = port;
+                        reconnectingDevice.connected = true;
+                        reconnectingDevice.initialising = false;
+                        reconnected = true;
+                        reconnectingDevice.readyCallback();
+                    });
+                });
+                port.emit("open");
+                port.emit("disconnect", "Disconnected");
+            });
+            it("should reject the initialise() Promise if closed while reconnecting", function (done) {
+                var port = new FakeSerialPort(),
+                    reconnectingDevice = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: port,
+                        reconnect: true,
+                        reconnectDelay: 10
+                    });
+                reconnectingDevice.initialiseWaitTime = 0;
+                reconnectingDevice.initialise().then(null, function (err) {
+                    expect(err.message).toBe("Connection closed");
+                    done();
+                });
+                reconnectingDevice.on("reconnecting", function () {
+                    reconnectingDevice.close();
+                });
+                port.emit("open");
+                port.emit("disconnect", "Disconnected");
             });
         });
 
@@ -257,6 +483,99 @@ describe("RfxCom", function() {
             });
         });
 
+        describe(".rfxtrxParser", function() {
+            var device, parser, emitter, packets;
+            beforeEach(function() {
+                var EventEmitter = require("events").EventEmitter;
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+                device.receiving = true;
+                parser = device.rfxtrxParser();
+                emitter = new EventEmitter();
+                packets = [];
+                emitter.on("data", function(packet) {
+                    packets.push(packet);
+                });
+            });
+            it("should emit each complete packet as a Buffer sharing memory with the received data", function() {
+                var data = Buffer.from([0x04, 0x02, 0x01, 0x00, 0x00, 0x07, 0x10, 0x00, 0x01, 0x41, 0x01, 0x01, 0x70]);
+                parser(emitter, data);
+                expect(packets.length).toBe(2);
+                expect(Buffer.isBuffer(packets[0])).toBeTruthy();
+                expect(Array.prototype.slice.call(packets[0])).toEqual([0x04, 0x02, 0x01, 0x00, 0x00]);
+                expect(Array.prototype.slice.call(packets[1])).toEqual([0x07, 0x10, 0x00, 0x01, 0x41, 0x01, 0x01, 0x70]);
+                expect(packets[1].buffer).toBe(data.buffer);
+            });
+            it("should assemble a packet split across several reads", function() {
+                parser(emitter, [0x07, 0x10, 0x00]);
+                parser(emitter, Buffer.from([0x01, 0x41, 0x01]));
+                expect(packets.length).toBe(0);
+                parser(emitter, [0x01, 0x70, 0x04]);
+                expect(packets.length).toBe(1);
+                expect(Array.prototype.slice.call(packets[0])).toEqual([0x07, 0x10, 0x00, 0x01, 0x41, 0x01, 0x01, 0x70]);
+            });
+            it("should resynchronise after an invalid length byte, reporting the discarded bytes", function() {
+                var discarded = [];
+                device.on("resync", function(bytes) {
+                    discarded.push(bytes);
+                });
+                parser(emitter, [0x01, 0x04, 0x02, 0x01, 0x00, 0x00]);
+                parser(emitter, [0x04, 0x02, 0x01, 0x00, 0x00]);
+                expect(packets.length).toBe(2);
+                expect(discarded).toEqual([[0x01]]);
+            });
+            it("should trust the length byte of a packet type it knows nothing about", function() {
+                var discarded = [];
+                device.on("resync", function(bytes) {
+                    discarded.push(bytes);
+                });
+                parser(emitter, [0x0B, 0x5F, 0x00, 0x01, 0x07, 0x10, 0x00, 0x02, 0x41, 0x01, 0x01, 0x70,
+                                 0x04, 0x02, 0x01, 0x00, 0x00]);
+                expect(packets.length).toBe(2);
+                expect(Array.prototype.slice.call(packets[0])).toEqual([0x0B, 0x5F, 0x00, 0x01, 0x07, 0x10, 0x00,
+                                                                         0x02, 0x41, 0x01, 0x01, 0x70]);
+                expect(Array.prototype.slice.call(packets[1])).toEqual([0x04, 0x02, 0x01, 0x00, 0x00]);
+                expect(discarded).toEqual([]);
+            });
+            it("should accept a packet of a known length with no handler, without resynchronising", function() {
+                var discarded = [];
+                device.on("resync", function(bytes) {
+                    discarded.push(bytes);
+                });
+                parser(emitter, [0x0C, 0x1A, 0x00, 0x01, 0x01, 0x02, 0x03, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00,
+                                 0x04, 0x02, 0x01, 0x00, 0x00]);
+                expect(packets.length).toBe(2);
+                expect(packets[0][1]).toBe(0x1A);
+                expect(packets[1][1]).toBe(0x02);
+                expect(discarded).toEqual([]);
+            });
+            it("should skip a length byte which is wrong for the packet type following it", function() {
+                parser(emitter, [0x05, 0x50, 0x08, 0x50, 0x01, 0x01, 0xFA, 0xAF, 0x80, 0x14, 0x42]);
+                expect(packets.length).toBe(1);
+                expect(packets[0][0]).toBe(0x08);
+            });
+            it("should accept a status packet of any length", function() {
+                parser(emitter, [0x0D, 0x01, 0x00, 0x01, 0x02, 0x53, 0x30, 0x00, 0x02, 0x21, 0x01, 0x00, 0x00, 0x00]);
+                parser(emitter, [0x14, 0x01, 0x07, 0x02, 0x07, 0x43, 0x6F, 0x70, 0x79, 0x72, 0x69, 0x67, 0x68, 0x74,
+                                 0x20, 0x52, 0x46, 0x58, 0x43, 0x4F, 0x4D]);
+                expect(packets.length).toBe(2);
+            });
+            it("should check the packet type following a length byte received at the end of a read", function() {
+                var discarded = [];
+                device.on("resync", function(bytes) {
+                    discarded.push(bytes);
+                });
+                parser(emitter, [0x04, 0x02, 0x01, 0x00, 0x00, 0x04]);
+                parser(emitter, [0x50, 0x04, 0x02, 0x01, 0x00, 0x00]);
+                expect(packets.length).toBe(2);
+                expect(discarded).toEqual([[0x04, 0x50]]);
+            });
+            it("should ignore data received while not receiving", function() {
+                device.receiving = false;
+                parser(emitter, [0x04, 0x02, 0x01, 0x00, 0x00]);
+                expect(packets.length).toBe(0);
+            });
+        });
+
         describe(".stringToBytes", function() {
             it("should convert a sequence of characters to an array of bytes", function() {
                 var device = new rfxcom.RfxCom("/dev/ttyUSB0");
@@ -284,6 +603,174 @@ describe("RfxCom", function() {
             });
         });
 
+        describe(".queueMessage", function() {
+            var fakeSerialPort, device, sender;
+            beforeEach(function () {
+                fakeSerialPort = new FakeSerialPort();
+                device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                    port: fakeSerialPort,
+                    timeout: 50
+                });
+                device.connected = true;
+                sender = {
+                    _timeoutHandler: function () {
+                        return false;
+                    }
+                };
+            });
+            it("should return the sequence number if a callback is supplied", function() {
+                expect(device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5, function () {})).toBe(5);
+            });
+            it("should call the callback only when the matching response arrives", function(done) {
+                var called = false;
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5, function (err, response, seqnbr) {
+                    called = true;
+                    expect(err).toBeNull();
+                    expect(response.responseCode).toBe(rfxcom.responseCode.OK);
+                    expect(seqnbr).toBe(5);
+                    done();
+                });
+                expect(fakeSerialPort).toHaveSent([0x04, 0x10, 0x00, 0x05, 0x00]);
+                device.messageHandler([0x00, 0x04, 0x00]);
+                expect(called).toBeFalsy();
+                device.messageHandler([0x00, 0x05, 0x00]);
+            });
+            it("should call the callback with a ResponseError on a NAK response", function(done) {
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5, function (err, response, seqnbr) {
+                    expect(err instanceof rfxcom.ResponseError).toBeTruthy();
+                    expect(err.responseCode).toBe(rfxcom.responseCode.ILLEGAL_AC_ADDRESS);
+                    expect(seqnbr).toBe(5);
+                    done();
+                });
+                device.messageHandler([0x00, 0x05, 0x03]);
+            });
+            it("should call the callback with a TimeoutError if there is no response", function(done) {
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5, function (err) {
+                    expect(err instanceof rfxcom.TimeoutError).toBeTruthy();
+                    done();
+                });
+            });
+            it("should return a Promise which resolves with the response if no callback is supplied", function(done) {
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5).then(function (response) {
+                    expect(response.seqnbr).toBe(5);
+                    expect(response.responseCode).toBe(rfxcom.responseCode.TX_DELAYED);
+                    expect(response.message).toBe("ACK - transmit delayed");
+                    done();
+                });
+                expect(fakeSerialPort).toHaveSent([0x04, 0x10, 0x00, 0x05, 0x00]);
+                device.messageHandler([0x00, 0x05, 0x01]);
+            });
+            it("should reject the Promise with a ResponseError on a NAK response", function(done) {
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5).catch(function (err) {
+                    expect(err instanceof rfxcom.ResponseError).toBeTruthy();
+                    expect(err.seqnbr).toBe(5);
+                    expect(err.responseCode).toBe(rfxcom.responseCode.TX_LOCK_FAILED);
+                    done();
+                });
+                device.messageHandler([0x00, 0x05, 0x02]);
+            });
+            it("should reject the Promise with a TimeoutError if there is no response", function(done) {
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5).catch(function (err) {
+                    expect(err instanceof rfxcom.TimeoutError).toBeTruthy();
+                    expect(err.seqnbr).toBe(5);
+                    done();
+                });
+            });
+            it("should reject the Promise if the device is not connected", function(done) {
+                device.connected = false;
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5).catch(function (err) {
+                    expect(err instanceof rfxcom.RfxComError).toBeTruthy();
+                    expect(err.message).toBe("Not connected");
+                    done();
+                });
+            });
+            it("should reject pending Promises when the connection is closed", function(done) {
+                device.queueMessage(sender, [0x04, 0x10, 0x00, 0x05, 0x00], 5).catch(function (err) {
+                    expect(err.message).toBe("Connection closed");
+                    done();
+                });
+                device.close();
+            });
+        });
+
+        describe(".supports", function() {
+            var fakeSerialPort, device;
+            beforeEach(function () {
+                fakeSerialPort = new FakeSerialPort();
+                device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                    port: fakeSerialPort
+                });
+                device.connected = true;
+            });
+            it("should assume every command is supported until the status is known", function() {
+                expect(device.supports(0x10, 0x01)).toBeTruthy();
+                expect(device.supports(0x1A, 0x00)).toBeTruthy();
+            });
+            it("should report that a receive-only RFXtrx cannot transmit", function() {
+                device.statusHandler([0x00, 0x01, 0x02, 0x52, 0x5E, 0x08, 0x02, 0x25, 0x00, 0x01, 0x01, 0x1C]);
+                expect(device.supports(0x10, 0x01)).toBeFalsy();
+                expect(device.supports(0x11, 0x00)).toBeFalsy();
+                expect(device.supports(0x00, 0x00)).toBeTruthy();
+            });
+            it("should report that only an RFXtrx433E can transmit Rfy", function() {
+                device.statusHandler([0x00, 0x01, 0x02, 0x53, 0x5E, 0x08, 0x02, 0x25, 0x00, 0x01, 0x01, 0x1C]);
+                expect(device.supports(0x11, 0x00)).toBeTruthy();
+                expect(device.supports(0x1A, 0x00)).toBeFalsy();
+                device.statusHandler([0x00, 0x00, 0x03, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04,
+                                      0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                expect(device.supports(0x1A, 0x00)).toBeTruthy();
+                expect(device.supports(0x1A, 0x01)).toBeTruthy();
+            });
+            it("should report that Rfy cannot be transmitted if the firmware version is unknown", function() {
+                var status = {receiverTypeCode: 0x53, receiverType: "433.92MHz transceiver", firmwareType: "Ext"};
+                expect(rfxcom.capabilities.supports(status, 0x11, 0x00)).toBeTruthy();
+                expect(rfxcom.capabilities.check(status, 0x1A, 0x00)).toBe("Packet type 0x1A subtype 0x00 cannot be " +
+                    "transmitted: requires firmware version 1000 or later, version unknown (firmware Ext version undefined)");
+            });
+            it("should report that Rfy extended needs Ext firmware", function() {
+                device.statusHandler([0x00, 0x00, 0x03, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x01, 0x04,
+                                      0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                expect(device.supports(0x1A, 0x00)).toBeTruthy();
+                expect(device.supports(0x1A, 0x01)).toBeFalsy();
+            });
+            it("should report that Blinds2 needs Ext firmware on an RFXtrx433E", function() {
+                device.statusHandler([0x00, 0x00, 0x03, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x01, 0x04,
+                                      0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                expect(device.supports(0x31, 0x00)).toBeTruthy();
+                device.statusHandler([0x00, 0x00, 0x03, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x01, 0x04,
+                                      0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                expect(device.supports(0x31, 0x00)).toBeFalsy();
+            });
+            it("should allow X10 but no other lighting on a 310MHz RFXtrx", function() {
+                device.statusHandler([0x00, 0x01, 0x02, 0x50, 0x5E, 0x08, 0x02, 0x25, 0x00, 0x01, 0x01, 0x1C]);
+                expect(device.supports(0x10, 0x00)).toBeTruthy();
+                expect(device.supports(0x10, 0x01)).toBeFalsy();
+            });
+            it("should reject an unsupported command without sending it", function(done) {
+                var lighting2 = new rfxcom.Lighting2(device, rfxcom.lighting2.AC);
+                device.statusHandler([0x00, 0x01, 0x02, 0x52, 0x5E, 0x08, 0x02, 0x25, 0x00, 0x01, 0x01, 0x1C]);
+                lighting2.switchOn("0x03FFFFFF/1").catch(function (err) {
+                    expect(err instanceof rfxcom.UnsupportedError).toBeTruthy();
+                    expect(err.packetType).toBe(0x11);
+                    expect(err.subtype).toBe(0x00);
+                    expect(err.message).toBe("Packet type 0x11 subtype 0x00 cannot be transmitted: the firmware is " +
+                        "receive only (firmware Type 1 RO version 94)");
+                    expect(fakeSerialPort.bytesWritten).toEqual([]);
+                    done();
+                });
+            });
+            it("should call the callback with the error", function(done) {
+                var rfy = new rfxcom.Rfy(device, rfxcom.rfy.RFY);
+                device.statusHandler([0x00, 0x01, 0x02, 0x53, 0x5E, 0x08, 0x02, 0x25, 0x00, 0x01, 0x01, 0x1C]);
+                rfy.up("0x010203/1", function (err) {
+                    expect(err.message).toBe("Packet type 0x1A subtype 0x00 cannot be transmitted: requires " +
+                        "firmware version 1000 or later (an RFXtrx433E) (firmware Type 1 version 94)");
+                    expect(fakeSerialPort.bytesWritten).toEqual([]);
+                    done();
+                });
+            });
+        });
+
         describe(".flush", function() {
             it("should flush the underlying serialport", function(done) {
                 var fakeSerialPort = new FakeSerialPort(),
@@ -308,9 +795,37 @@ describe("RfxCom", function() {
                 });
                 expect(fakeSerialPort).toHaveSent([13, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
             });
+            it("should return a Promise which resolves once the bytes are sent if no callback is supplied", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: fakeSerialPort
+                    });
+                device.reset().then(function() {
+                    expect(fakeSerialPort).toHaveSent([13, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+                    done();
+                });
+            });
+            it("should fail at once if the port is not open", function(done) {
+                var device = new rfxcom.RfxCom("/dev/ttyUSB0");
+                device.reset().then(null, function(err) {
+                    expect(err instanceof rfxcom.RfxComError).toBeTruthy();
+                    expect(err.message).toBe("Not connected");
+                    done();
+                });
+            });
         });
 
         describe(".getStatus", function() {
+            it("should not wait for a response if the port is not open", function(done) {
+                var device = new rfxcom.RfxCom("/dev/ttyUSB0"),
+                    seqnbr = device.getStatus(function(err, response, cmdId) {
+                        expect(err.message).toBe("Not connected");
+                        expect(cmdId).toBe(0);
+                        expect(device.acknowledge[0]).toBeFalsy();
+                        done();
+                    });
+                expect(seqnbr).toBe(0);
+            });
             it("should send the correct bytes to the serialport", function(done) {
                 var fakeSerialPort = new FakeSerialPort(),
                     device = new rfxcom.RfxCom("/dev/ttyUSB0", {
@@ -320,6 +835,31 @@ describe("RfxCom", function() {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([13, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+                device.statusHandler([0x00, 0x00, 0x02, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+            });
+            it("should return a Promise which resolves with the status if no callback is supplied", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: fakeSerialPort
+                    });
+                device.getStatus().then(function (status) {
+                    expect(status.firmwareVersion).toBe(1001);
+                    expect(status.enabledProtocols).toEqual(["LACROSSE", "OREGON"]);
+                    done();
+                });
+                device.statusHandler([0x00, 0x00, 0x02, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+            });
+            it("should reject the Promise with a TimeoutError if there is no response", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: fakeSerialPort,
+                        timeout: 50
+                    });
+                device.getStatus().catch(function (err) {
+                    expect(err instanceof rfxcom.TimeoutError).toBeTruthy();
+                    expect(err.seqnbr).toBe(0);
+                    done();
+                });
             });
         });
 
@@ -333,6 +873,7 @@ describe("RfxCom", function() {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0D, 0x00, 0x00, 0x00, 0x03, 0x53, 0x00, 0x00, 0x08, 0x27, 0x0, 0x0, 0x0, 0x0]);
+                device.statusHandler([0x00, 0x00, 0x03, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
             });
 
             it("should send the correct bytes to the serialport for a single protocol", function(done) {
@@ -344,6 +885,194 @@ describe("RfxCom", function() {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0D, 0x00, 0x00, 0x00, 0x03, 0x53, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.statusHandler([0x00, 0x00, 0x03, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+            });
+        });
+
+        describe("protocol configuration", function() {
+            var emulator, device;
+            beforeEach(function() {
+                emulator = new rfxcom.Emulator({receiverType: 0x52, protocols: [protocols.AC, protocols.OREGON],
+                                                responseDelay: 1});
+                device = new rfxcom.RfxCom("emulator", {transport: emulator.transport()});
+                device.initialiseWaitTime = 500;
+            });
+            afterEach(function() {
+                device.close();
+            });
+            describe(".enableProtocols", function() {
+                it("should enable protocols, leaving the others enabled, and keep the receiver type", function(done) {
+                    device.initialise(function() {
+                        device.enableProtocols([protocols.X10, "LACROSSE"], function(err, status) {
+                            expect(err).toBeNull();
+                            expect(status.enabledProtocols).toEqual(["LACROSSE", "X10", "AC", "OREGON"]);
+                            expect(emulator.written.filter(function(packet) {
+                                return packet[4] === 0x03;
+                            })[0].slice(5, 11)).toEqual([0x52, 0x00, 0x00, 0x08, 0x25, 0x00]);
+                            done();
+                        });
+                    });
+                });
+                it("should return the sequence number of the first command message if a callback is supplied", function(done) {
+                    device.initialise(function() {
+                        var seqnbr = device.enableProtocols(protocols.X10, function(err, status, cmdId) {
+                            expect(err).toBeNull();
+                            expect(cmdId).toBe(seqnbr);
+                            done();
+                        });
+                        expect(typeof seqnbr).toBe("number");
+                        expect(emulator.written[emulator.written.length - 1][3]).toBe(seqnbr);
+                        expect(emulator.written[emulator.written.length - 1][4]).toBe(0x03);
+                    });
+                });
+                it("should return -1 if the change fails before anything is sent", function(done) {
+                    expect(device.enableProtocols("NO_SUCH_PROTOCOL", function(err) {
+                        expect(err.message).toBe("Unknown protocol NO_SUCH_PROTOCOL");
+                        done();
+                    })).toBe(-1);
+                });
+                it("should read the status first if none has been received", function(done) {
+                    device.initialiseWaitTime = 60000;
+                    device.on("connecting", function() {
+                        device.receiving = true;
+                        device.enableProtocols(protocols.X10).then(function(status) {
+                            expect(status.enabledProtocols).toEqual(["X10", "AC", "OREGON"]);
+                            expect(status.receiverType).toBe("433.92MHz receiver only");
+                            expect(emulator.written[0][4]).toBe(0x02);
+                            done();
+                        });
+                    });
+                    device.open();
+                });
+                it("should reject an unknown protocol without sending anything", function(done) {
+                    device.enableProtocols("NO_SUCH_PROTOCOL").catch(function(err) {
+                        expect(err instanceof rfxcom.RfxComError).toBeTruthy();
+                        expect(err.message).toBe("Unknown protocol NO_SUCH_PROTOCOL");
+                        expect(emulator.written).toEqual([]);
+                        done();
+                    });
+                });
+                it("should reject the change if the re-read status does not confirm it", function(done) {
+                    device.initialise(function() {
+                        device.getStatus = function(callback) {
+                            callback(null, {enabledProtocols: ["AC", "OREGON"]}, 0);
+                            return 0;
+                        };
+                        device.enableProtocols(protocols.X10).catch(function(err) {
+                            expect(err.message).toBe("The RFXtrx did not accept the change to protocols X10");
+                            expect(err.status.enabledProtocols).toEqual(["AC", "OREGON"]);
+                            done();
+                        });
+                    });
+                });
+            });
+            describe(".disableProtocols", function() {
+                it("should disable protocols, leaving the others enabled", function(done) {
+                    device.initialise(function() {
+                        device.disableProtocols([protocols.OREGON], function(err, status) {
+                            expect(err).toBeNull();
+                            expect(status.enabledProtocols).toEqual(["AC"]);
+                            done();
+                        });
+                    });
+                });
+            });
+            describe(".setProtocols", function() {
+                it("should enable exactly the given protocols", function(done) {
+                    device.initialise(function() {
+                        device.setProtocols([protocols.ARC, protocols.HOMEEASY]).then(function(status) {
+                            expect(status.enabledProtocols).toEqual(["ARC", "HOMEEASY"]);
+                            done();
+                        });
+                    });
+                });
+            });
+            describe(".enableUndecoded", function() {
+                it("should add undecoded reception to the enabled protocols", function(done) {
+                    device.initialise(function() {
+                        device.enableUndecoded(function(err, status) {
+                            expect(err).toBeNull();
+                            expect(status.enabledProtocols).toEqual(["UNDECODED", "AC", "OREGON"]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        describe(".setFrequency", function() {
+            var emulator, device,
+                modeCommands = function () {
+                    return emulator.written.filter(function(packet) {
+                        return packet[4] === 0x03;
+                    });
+                };
+            beforeEach(function() {
+                emulator = new rfxcom.Emulator({receiverType: 0x59, protocols: [protocols.FS20, protocols.VISONIC],
+                                                responseDelay: 1});
+                device = new rfxcom.RfxCom("emulator", {transport: emulator.transport()});
+                device.initialiseWaitTime = 500;
+            });
+            afterEach(function() {
+                device.close();
+            });
+            it("should change the frequency of an RFXtrx868, keeping the protocols valid there", function(done) {
+                device.initialise(function() {
+                    var seqnbr = device.setFrequency(rfxcom.frequency.MHZ_868_95, function(err, status, cmdId) {
+                        expect(err).toBeNull();
+                        expect(status.receiverTypeCode).toBe(0x5B);
+                        expect(status.receiverType).toBe("868.95MHz");
+                        expect(status.enabledProtocols).toEqual(["VISONIC"]);
+                        expect(modeCommands()[0].slice(5, 11)).toEqual([0x5B, 0x00, 0x00, 0x00, 0x80, 0x00]);
+                        expect(cmdId).toBe(modeCommands()[0][3]);
+                        done();
+                    });
+                    expect(seqnbr).toBe(modeCommands()[0][3]);
+                });
+            });
+            it("should accept the name of the frequency", function(done) {
+                device.initialise(function() {
+                    device.setFrequency("MHZ_868_35_FSK").then(function(status) {
+                        expect(status.receiverType).toBe("868.35MHz FSK");
+                        done();
+                    });
+                });
+            });
+            it("should keep the frequency when protocols are enabled", function(done) {
+                device.initialise(function() {
+                    device.setFrequency(rfxcom.frequency.MHZ_868_30_FSK).then(function() {
+                        return device.enable([protocols.LACROSSE]);
+                    }).then(function() {
+                        expect(modeCommands()[1].slice(5, 11)).toEqual([0x58, 0x00, 0x00, 0x08, 0x00, 0x00]);
+                        done();
+                    });
+                });
+            });
+            it("should reject protocols which cannot be received at the frequency", function(done) {
+                device.initialise(function() {
+                    device.enableProtocols([protocols.OREGON]).catch(function(err) {
+                        expect(err.message).toBe("Protocols OREGON cannot be received by a 868.35MHz receiver");
+                        expect(modeCommands().length).toBe(0);
+                        done();
+                    });
+                });
+            });
+            it("should reject an unknown frequency", function(done) {
+                device.setFrequency("MHZ_900").catch(function(err) {
+                    expect(err instanceof rfxcom.RfxComError).toBeTruthy();
+                    expect(err.message).toBe("Unknown frequency MHZ_900");
+                    done();
+                });
+            });
+            it("should reject a frequency the hardware does not support", function(done) {
+                emulator.receiverType = 0x53;
+                device.initialise(function() {
+                    device.setFrequency(rfxcom.frequency.MHZ_868_30).catch(function(err) {
+                        expect(err.message).toBe("A 433.92MHz transceiver RFXtrx cannot be set to 868.30MHz");
+                        expect(modeCommands().length).toBe(0);
+                        done();
+                    });
+                });
             });
         });
 
@@ -357,6 +1086,98 @@ describe("RfxCom", function() {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0D, 0x00, 0x00, 0x00, 0x06, 0x00, 0x00, 0x00, 0x00, 0x00, 0x0, 0x00, 0x00, 0x00]);
+                device.statusHandler([0x00, 0x00, 0x06, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+            });
+
+            describe("flash-wear protection", function() {
+                var emulator, device,
+                    saves = function() {
+                        return emulator.written.filter(function(packet) {
+                            return packet[1] === 0x00 && packet[4] === 0x06;
+                        }).length;
+                    };
+                beforeEach(function() {
+                    emulator = new rfxcom.Emulator({protocols: [protocols.AC], responseDelay: 1});
+                    device = new rfxcom.RfxCom("emulator", {transport: emulator.transport()});
+                    device.initialiseWaitTime = 500;
+                });
+                afterEach(function() {
+                    device.close();
+                });
+                it("should skip the save if the settings are unchanged since initialisation", function(done) {
+                    device.initialise(function() {
+                        device.save().then(function(status) {
+                            expect(status.enabledProtocols).toEqual(["AC"]);
+                            expect(saves()).toBe(0);
+                            done();
+                        });
+                    });
+                });
+                it("should return -1 from a skipped save if a callback is supplied", function(done) {
+                    device.initialise(function() {
+                        expect(device.save(function(err, status, seqnbr) {
+                            expect(err).toBeNull();
+                            expect(seqnbr).toBe(-1);
+                            done();
+                        })).toBe(-1);
+                    });
+                });
+                it("should save changed settings once, and refuse another save too soon", function(done) {
+                    device.initialise(function() {
+                        device.enableProtocols(protocols.X10).then(function() {
+                            return device.save();
+                        }).then(function() {
+                            expect(saves()).toBe(1);
+                            return device.save();
+                        }).then(function() {
+                            expect(saves()).toBe(1);
+                            return device.enableProtocols(protocols.OREGON);
+                        }).then(function() {
+                            return device.save();
+                        }).catch(function(err) {
+                            expect(err instanceof rfxcom.RfxComError).toBeTruthy();
+                            expect(err.message).toBe("Save refused, less than 60000ms since the previous save");
+                            expect(saves()).toBe(1);
+                            done();
+                        });
+                    });
+                });
+            });
+
+            it("should not refuse a retry after a failed save", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/ttyUSB0");
+                device.save(function(err) {
+                    expect(err.message).toBe("Not connected");
+                    device.serialport = fakeSerialPort;
+                    device.save(function(err) {
+                        expect(err).toBeNull();
+                        done();
+                    });
+                    expect(fakeSerialPort).toHaveSent([0x0D, 0x00, 0x00, 0x01, 0x06, 0x00, 0x00, 0x00, 0x00, 0x00, 0x0, 0x00, 0x00, 0x00]);
+                    device.statusHandler([0x00, 0x01, 0x06, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                });
+            });
+            it("should count saves in the counter file, warning when the count is high", function(done) {
+                var fs = require("fs"),
+                    file = require("path").join(require("os").tmpdir(), "rfxcom-saves-" + process.pid + ".json"),
+                    fakeSerialPort = new FakeSerialPort(),
+                    device = new rfxcom.RfxCom("/dev/ttyUSB0", {
+                        port: fakeSerialPort,
+                        saveCounterFile: file,
+                        saveWarningCount: 9000
+                    });
+                fs.writeFileSync(file, JSON.stringify({saves: 8999}));
+                device.on("savewarning", function(count) {
+                    expect(count).toBe(9000);
+                    setTimeout(function() {
+                        expect(JSON.parse(fs.readFileSync(file, "utf8")).saves).toBe(9000);
+                        fs.unlinkSync(file);
+                        done();
+                    }, 50);
+                });
+                device.save();
+                device.statusHandler([0x00, 0x00, 0x06, 0x53, 0x01, 0x00, 0x08, 0x20, 0x01, 0x00, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
             });
         });
 
@@ -700,6 +1521,66 @@ describe("RfxCom", function() {
             });
         });
 
+        describe(".lighting3Handler", function() {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a lighting3 message when called", function(done) {
+                device.on("lighting3", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.lighting3.KOPPLA);
+                    expect(evt.seqnbr).toBe(5);
+                    expect(evt.system).toBe(3);
+                    expect(evt.channels).toEqual([1, 3, 10]);
+                    expect(evt.commandNumber).toBe(0x10);
+                    expect(evt.command).toBe("On");
+                    expect(evt.rssi).toBe(6);
+                    done();
+                });
+                device.lighting3Handler([0x00, 0x05, 0x02, 0x05, 0x02, 0x10, 0x60]);
+            });
+            it("should decode all the channels, and a level", function(done) {
+                device.on("lighting3", function(evt) {
+                    expect(evt.system).toBe(16);
+                    expect(evt.channels).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+                    expect(evt.command).toBe("Level 4");
+                    done();
+                });
+                device.lighting3Handler([0x00, 0x06, 0x0F, 0xFF, 0x03, 0x14, 0x00]);
+            });
+            it("should be called for a received lighting3 packet", function(done) {
+                device.on("lighting3", function(evt) {
+                    expect(evt.command).toBe("Program");
+                    done();
+                });
+                device.receivePacket([0x08, 0x12, 0x00, 0x07, 0x00, 0x01, 0x00, 0x1C, 0x00]);
+            });
+        });
+
+        describe(".undecodedHandler", function() {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit an undecoded message with the protocol name & payload", function(done) {
+                device.on("undecoded", function(evt) {
+                    expect(evt.subtype).toBe(0x08);
+                    expect(evt.seqnbr).toBe(0x02);
+                    expect(evt.protocol).toBe("OREGON2");
+                    expect(evt.payload).toEqual([0x1A, 0x2D, 0x10, 0x75, 0x30]);
+                    done();
+                });
+                device.undecodedHandler([0x08, 0x02, 0x1A, 0x2D, 0x10, 0x75, 0x30]);
+            });
+            it("should report an unknown protocol subtype", function(done) {
+                device.on("undecoded", function(evt) {
+                    expect(evt.protocol).toBe("Unknown");
+                    done();
+                });
+                device.undecodedHandler([0x7F, 0x02, 0x1A, 0x2D]);
+            });
+        });
+
         describe(".lighting4Handler", function() {
             var device;
             beforeEach(function () {
@@ -763,6 +1644,77 @@ describe("RfxCom", function() {
             });
         });
 
+        describe(".fan1Handler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a fan1 message for a Siemens remote", function(done) {
+                device.on("fan1", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.fan1.SIEMENS_SF01);
+                    expect(evt.seqnbr).toBe(3);
+                    expect(evt.id).toBe("0x001234");
+                    expect(evt.commandNumber).toBe(4);
+                    expect(evt.command).toBe("Speed Up");
+                    expect(evt.rssi).toBe(5);
+                    done();
+                });
+                device.fan1Handler([0x00, 0x03, 0x00, 0x12, 0x34, 0x04, 0x50]);
+            });
+            it("should emit a fan1 message for a Lucci Air remote", function(done) {
+                device.on("fan1", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.fan1.LUCCI_AIR);
+                    expect(evt.id).toBe("0x00000A");
+                    expect(evt.commandNumber).toBe(4);
+                    expect(evt.command).toBe("Off");
+                    done();
+                });
+                device.fan1Handler([0x02, 0x04, 0x00, 0x00, 0x0A, 0x04, 0x60]);
+            });
+        });
+
+        describe(".curtain1Handler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a curtain1 message when called", function(done) {
+                device.on("curtain1", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.curtain1.HARRISON);
+                    expect(evt.seqnbr).toBe(4);
+                    expect(evt.housecode).toBe("B");
+                    expect(evt.unitcode).toBe(12);
+                    expect(evt.deviceId).toBe("0x42/0C");
+                    expect(evt.commandNumber).toBe(2);
+                    expect(evt.command).toBe("Stop");
+                    expect(evt.rssi).toBe(3);
+                    done();
+                });
+                device.curtain1Handler([0x00, 0x04, 0x42, 0x0C, 0x02, 0x30]);
+            });
+            it("should be called for a received curtain1 packet", function(done) {
+                device.on("curtain1", function(evt) {
+                    expect(evt.command).toBe("Open");
+                    done();
+                });
+                device.receivePacket([0x07, 0x18, 0x00, 0x04, 0x42, 0x0C, 0x00, 0x30]);
+            });
+            it("should give a deviceId which the Curtain1 class accepts", function(done) {
+                var fakeSerialPort = new FakeSerialPort(),
+                    transmitter = new rfxcom.RfxCom("/dev/ttyUSB0", {port: fakeSerialPort}),
+                    curtain1 = new rfxcom.Curtain1(transmitter);
+                transmitter.connected = true;
+                device.on("curtain1", function(evt) {
+                    curtain1.close(evt.deviceId, function () {
+                        done();
+                    });
+                    expect(fakeSerialPort).toHaveSent([0x07, 0x18, 0x00, 0x00, 0x42, 0x0C, 0x01, 0x00]);
+                    transmitter.messageHandler([0x00, 0x00, 0x00]);
+                });
+                device.curtain1Handler([0x00, 0x04, 0x42, 0x0C, 0x02, 0x30]);
+            });
+        });
+
         describe(".chime1Handler", function () {
             var device;
             beforeEach(function() {
@@ -1138,6 +2090,199 @@ describe("RfxCom", function() {
             });
         });
 
+        describe(".security2Handler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a security2 message when called", function(done) {
+                device.on("security2", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.security2.CLASSIC_KEELOQ);
+                    expect(evt.seqnbr).toBe(3);
+                    expect(evt.code).toBe("0x8B3C11F0");
+                    expect(evt.id).toBe("0x01234567");
+                    expect(evt.buttons).toBe(0x02);
+                    expect(evt.batteryLow).toBeTruthy();
+                    expect(evt.repeat).toBeFalsy();
+                    expect(evt.batteryLevel).toBe(9);
+                    expect(evt.rssi).toBe(4);
+                    done();
+                });
+                device.security2Handler([0x00, 0x03, 0x8B, 0x3C, 0x11, 0xF0, 0x01, 0x23, 0x45, 0x67, 0x12, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x49]);
+            });
+            it("should be called for a received security2 packet", function(done) {
+                device.on("security2", function(evt) {
+                    expect(evt.id).toBe("0x0FFFFFFF");
+                    expect(evt.buttons).toBe(0x09);
+                    expect(evt.batteryLow).toBeFalsy();
+                    done();
+                });
+                device.receivePacket([0x1C, 0x21, 0x00, 0x04, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0x29,
+                                      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+                                      0x00, 0x00, 0x80]);
+            });
+        });
+
+        describe(".remoteHandler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a remote message when called", function(done) {
+                device.on("remote", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.remote.ATI_REMOTE_WONDER);
+                    expect(evt.seqnbr).toBe(1);
+                    expect(evt.remoteType).toBe("ATI Remote Wonder");
+                    expect(evt.id).toBe(0x0A);
+                    expect(evt.keyCode).toBe(0x25);
+                    expect(evt.key).toBe("Play");
+                    expect(evt.rssi).toBe(7);
+                    done();
+                });
+                device.remoteHandler([0x00, 0x01, 0x0A, 0x25, 0x70]);
+            });
+            it("should use the key names of a Medion remote", function(done) {
+                device.on("remote", function(evt) {
+                    expect(evt.remoteType).toBe("Medion");
+                    expect(evt.key).toBe("Photo");
+                    done();
+                });
+                device.remoteHandler([0x02, 0x01, 0x0A, 0x05, 0x70]);
+            });
+            it("should use the key names of a PC remote", function(done) {
+                device.on("remote", function(evt) {
+                    expect(evt.remoteType).toBe("PC Remote");
+                    expect(evt.key).toBe("1");
+                    done();
+                });
+                device.remoteHandler([0x03, 0x01, 0x0A, 0x82, 0x70]);
+            });
+            it("should report an unknown key", function(done) {
+                device.on("remote", function(evt) {
+                    expect(evt.keyCode).toBe(0x6F);
+                    expect(evt.key).toBe("Unknown");
+                    done();
+                });
+                device.receivePacket([0x06, 0x30, 0x01, 0x01, 0x0A, 0x6F, 0x70]);
+            });
+        });
+
+        describe(".blinds2Handler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a blinds2 message when called", function(done) {
+                device.on("blinds2", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.blinds2.BREL_DOOYA);
+                    expect(evt.seqnbr).toBe(2);
+                    expect(evt.id).toBe("0x12345678");
+                    expect(evt.unitCode).toBe(3);
+                    expect(evt.commandNumber).toBe(6);
+                    expect(evt.command).toBe("Set Percent & Angle");
+                    expect(evt.percent).toBe(40);
+                    expect(evt.angle).toBe(90);
+                    expect(evt.batteryLevel).toBe(9);
+                    expect(evt.rssi).toBe(5);
+                    done();
+                });
+                device.blinds2Handler([0x00, 0x02, 0x12, 0x34, 0x56, 0x78, 0x03, 0x06, 0x28, 0x5A, 0x59]);
+            });
+            it("should be called for a received blinds2 packet", function(done) {
+                device.on("blinds2", function(evt) {
+                    expect(evt.command).toBe("Stop");
+                    done();
+                });
+                device.receivePacket([0x0C, 0x31, 0x00, 0x02, 0x12, 0x34, 0x56, 0x78, 0x03, 0x02, 0x00, 0x00, 0x59]);
+            });
+        });
+
+        describe(".thermostat1Handler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a thermostat1 message when called", function(done) {
+                device.on("thermostat1", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.thermostat1.DIGIMAX_TLX7506);
+                    expect(evt.seqnbr).toBe(5);
+                    expect(evt.id).toBe("0x6B9A");
+                    expect(evt.temperature).toBe(21);
+                    expect(evt.setpoint).toBe(22);
+                    expect(evt.statusNumber).toBe(1);
+                    expect(evt.status).toBe("Demand");
+                    expect(evt.mode).toBe("Cooling");
+                    expect(evt.rssi).toBe(7);
+                    done();
+                });
+                device.thermostat1Handler([0x00, 0x05, 0x6B, 0x9A, 0x15, 0x16, 0x81, 0x70]);
+            });
+            it("should not report a set point for the short format", function(done) {
+                device.on("thermostat1", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.thermostat1.DIGIMAX_SHORT);
+                    expect(evt.temperature).toBe(19);
+                    expect(evt.setpoint).toBeUndefined();
+                    expect(evt.status).toBe("No Demand");
+                    expect(evt.mode).toBe("Heating");
+                    done();
+                });
+                device.thermostat1Handler([0x01, 0x05, 0x6B, 0x9A, 0x13, 0x00, 0x02, 0x70]);
+            });
+        });
+
+        describe(".thermostat2Handler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a thermostat2 message when called", function(done) {
+                device.on("thermostat2", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.thermostat2.RTS10);
+                    expect(evt.seqnbr).toBe(6);
+                    expect(evt.unitcode).toBe(0x1F);
+                    expect(evt.commandNumber).toBe(2);
+                    expect(evt.command).toBe("Program");
+                    expect(evt.rssi).toBe(5);
+                    done();
+                });
+                device.thermostat2Handler([0x01, 0x06, 0x1F, 0x02, 0x50]);
+            });
+            it("should be called for a received thermostat2 packet", function(done) {
+                device.on("thermostat2", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.thermostat2.HE105);
+                    expect(evt.command).toBe("On");
+                    done();
+                });
+                device.receivePacket([0x06, 0x41, 0x00, 0x06, 0x03, 0x01, 0x50]);
+            });
+        });
+
+        describe(".thermostat3Handler", function () {
+            var device;
+            beforeEach(function() {
+                device = new rfxcom.RfxCom("/dev/ttyUSB0");
+            });
+            it("should emit a thermostat3 message when called", function(done) {
+                device.on("thermostat3", function(evt) {
+                    expect(evt.subtype).toBe(rfxcom.thermostat3.MERTIK_G6R_H4T1);
+                    expect(evt.seqnbr).toBe(7);
+                    expect(evt.id).toBe("0x123456");
+                    expect(evt.commandNumber).toBe(4);
+                    expect(evt.command).toBe("Run Up");
+                    expect(evt.rssi).toBe(5);
+                    done();
+                });
+                device.thermostat3Handler([0x00, 0x07, 0x12, 0x34, 0x56, 0x04, 0x50]);
+            });
+            it("should decode the G6R-H4TB second on/off commands", function(done) {
+                device.on("thermostat3", function(evt) {
+                    expect(evt.command).toBe("2nd On");
+                    done();
+                });
+                device.thermostat3Handler([0x01, 0x07, 0x12, 0x34, 0x56, 0x05, 0x50]);
+            });
+        });
+
         describe(".bbq1handler", function () {
             var device;
             beforeEach(function() {
@@ -1846,8 +2991,8 @@ describe("RfxCom", function() {
                     expect(evt.seqnbr).toBe(0xF5);
                     expect(evt.weight).toBe(83.2);
                     expect(evt.id).toBe("0x0007");
-                    expect(evt.batteryLevel).toBe(3);
-                    expect(evt.rssi).toBe(9);
+                    expect(evt.batteryLevel).toBe(9);
+                    expect(evt.rssi).toBe(3);
                     done();
                 });
                 device.weightHandler([0x01, 0xF5, 0x00, 0x07, 0x03, 0x40, 0x39]);
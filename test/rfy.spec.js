@@ -36,6 +36,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should log the bytes being sent in debug mode', function (done) {
@@ -71,6 +72,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x00, 0x00, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should accept the highest valid address', function (done) {
@@ -80,6 +82,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x0f, 0xff, 0xff, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an address greater than the maximum allowed', function () {
@@ -94,6 +97,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should accept the highest valid unit code', function (done) {
@@ -103,6 +107,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid unit code', function () {
@@ -122,6 +127,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -136,6 +142,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -150,8 +157,43 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x00, 0x00, 0x01, 0x01, 0x06, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
+            it('should fail if a previous list operation is in progress', function (done) {
+                device.listingRfyRemotes = true;
+                rfy.listRemotes(function (err, response, cmdId) {
+                    expect(err.message).toBe("Previous list operation in progress");
+                    expect(cmdId).toBe(-1);
+                    rfy.listRemotes().then(null, function (err) {
+                        expect(err.message).toBe("Previous list operation in progress");
+                        expect(fakeSerialPort.bytesWritten).toEqual([]);
+                        device.listingRfyRemotes = false;
+                        done();
+                    });
+                });
+            });
+            it('should end the list operation if the command fails', function (done) {
+                device.connected = false;
+                rfy.listRemotes(function (err) {
+                    expect(err.message).toBe("Not connected");
+                    expect(device.listingRfyRemotes).toBe(false);
+                    rfy.listRemotes().then(null, function (err) {
+                        expect(err.message).toBe("Not connected");
+                        expect(device.listingRfyRemotes).toBe(false);
+                        expect(device.rfyRemotesList).toEqual([]);
+                        done();
+                    });
+                });
+            });
+            it('should end the list operation if the RFXtrx cannot transmit Rfy', function (done) {
+                device.statusHandler([0x00, 0x01, 0x02, 0x53, 0x5E, 0x08, 0x02, 0x25, 0x00, 0x01, 0x01, 0x1C]);
+                rfy.listRemotes().then(null, function (err) {
+                    expect(err instanceof rfxcom.UnsupportedError).toBeTruthy();
+                    expect(device.listingRfyRemotes).toBe(false);
+                    done();
+                });
+            });
         });
         describe('eraseall()', function () {
             beforeEach(function () {
@@ -164,6 +206,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x00, 0x00, 0x01, 0x01, 0x0e, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -178,6 +221,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0d, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -192,6 +236,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x07, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -206,6 +251,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0f, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -220,6 +266,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x10, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -234,6 +281,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x11, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -248,6 +296,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x12, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -262,6 +311,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x11, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -276,6 +326,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x12, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -290,6 +341,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0f, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -304,6 +356,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x10, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -318,6 +371,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x13, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -332,6 +386,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -346,6 +401,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -355,6 +411,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -364,6 +421,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -373,6 +431,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -382,6 +441,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x04, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -391,6 +451,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x05, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -400,6 +461,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x00, 0x00, 0x01, 0x01, 0x06, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -409,6 +471,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x07, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -418,6 +481,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x08, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -427,6 +491,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x09, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -436,6 +501,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0a, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -445,6 +511,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0b, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -454,6 +521,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0c, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -463,6 +531,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0d, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -472,6 +541,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0e, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -481,6 +551,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0f, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -490,6 +561,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x10, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -499,6 +571,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x11, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -508,6 +581,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x12, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -517,6 +591,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x13, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -526,6 +601,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid command string', function () {
@@ -545,6 +621,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should round command numbers to the nearest integer', function (done) {
@@ -554,6 +631,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -563,6 +641,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x00, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid command number', function () {
@@ -584,6 +663,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should log the bytes being sent in debug mode', function (done) {
@@ -619,6 +699,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x00, 0x00, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should accept the highest valid address', function (done) {
@@ -628,6 +709,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x0f, 0xff, 0xff, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an address greater than the maximum allowed', function () {
@@ -642,6 +724,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should accept the highest valid unit code', function (done) {
@@ -651,6 +734,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x0f, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid unit code', function () {
@@ -670,6 +754,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -684,6 +769,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -698,6 +784,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x00, 0x00, 0x01, 0x01, 0x06, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -712,6 +799,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x00, 0x00, 0x01, 0x01, 0x0e, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -726,6 +814,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0d, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -740,6 +829,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x07, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -754,6 +844,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0f, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -768,6 +859,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x10, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -782,6 +874,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x11, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -796,6 +889,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x12, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -810,6 +904,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x11, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -824,6 +919,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x12, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -838,6 +934,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0f, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -852,6 +949,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x10, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -866,6 +964,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x13, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -880,6 +979,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -894,6 +994,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -903,6 +1004,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -912,6 +1014,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -921,6 +1024,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -930,6 +1034,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x04, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -939,6 +1044,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x05, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -948,6 +1054,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x00, 0x00, 0x01, 0x01, 0x06, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -957,6 +1064,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x07, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -966,6 +1074,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x08, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -975,6 +1084,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x09, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -984,6 +1094,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0a, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -993,6 +1104,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0b, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1002,6 +1114,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0c, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1011,6 +1124,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0d, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1020,6 +1134,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0e, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1029,6 +1144,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0f, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1038,6 +1154,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x10, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1047,6 +1164,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x11, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1056,6 +1174,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x12, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1065,6 +1184,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x13, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1074,6 +1194,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid command string', function () {
@@ -1093,6 +1214,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should round command numbers to the nearest integer', function (done) {
@@ -1102,6 +1224,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1111,6 +1234,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x01, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid command number', function () {
@@ -1132,6 +1256,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should log the bytes being sent in debug mode', function (done) {
@@ -1167,6 +1292,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x00, 0x00, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should accept the highest valid address', function (done) {
@@ -1176,6 +1302,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x0f, 0xff, 0xff, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an address greater than the maximum allowed', function () {
@@ -1195,6 +1322,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should accept the highest valid unit code', function (done) {
@@ -1204,6 +1332,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x05, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid unit code', function () {
@@ -1223,6 +1352,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1237,6 +1367,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1251,6 +1382,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x00, 0x00, 0x01, 0x01, 0x06, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1265,6 +1397,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x00, 0x00, 0x01, 0x01, 0x0e, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1279,6 +1412,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0d, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1293,6 +1427,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x07, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1387,6 +1522,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x13, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1401,6 +1537,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
         });
@@ -1415,6 +1552,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1424,6 +1562,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1433,6 +1572,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1442,6 +1582,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x03, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1451,6 +1592,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x04, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1460,6 +1602,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x05, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1469,6 +1612,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x00, 0x00, 0x01, 0x01, 0x06, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1478,6 +1622,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x07, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1487,6 +1632,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x08, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1496,6 +1642,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x09, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1505,6 +1652,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0a, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1514,6 +1662,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0b, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1523,6 +1672,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0c, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1532,6 +1682,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0d, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1541,6 +1692,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0e, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1550,6 +1702,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x0f, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1559,6 +1712,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x10, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1568,6 +1722,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x11, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1577,6 +1732,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x12, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1586,6 +1742,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x13, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1595,6 +1752,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid command string', function () {
@@ -1614,6 +1772,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should round command numbers to the nearest integer', function (done) {
@@ -1623,6 +1782,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should send the correct bytes to the serialport', function (done) {
@@ -1632,6 +1792,7 @@ describe('Rfy class', function () {
                     done();
                 });
                 expect(fakeSerialPort).toHaveSent([0x0c, 0x1a, 0x03, 0x00, 0x01, 0x02, 0x03, 0x01, 0x14, 0x00, 0x00, 0x00, 0x00]);
+                device.messageHandler([0x00, 0x00, 0x00]);
                 expect(sentCommandId).toEqual(0);
             });
             it('should throw an exception with an invalid command number', function () {
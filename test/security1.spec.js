@@ -0,0 +1,233 @@
+/* global require: false, beforeEach: false, describe: false, it: false, expect: false */
+var rfxcom = require('../lib'),
+    matchers = require('./matchers'),
+    FakeSerialPort = require('./helper');
+
+describe('Security1 class', function () {
+    var security1,
+        fakeSerialPort,
+        device;
+    beforeEach(function () {
+        this.addMatchers({
+            toHaveSent: matchers.toHaveSent
+        });
+        fakeSerialPort = new FakeSerialPort();
+        device = new rfxcom.RfxCom('/dev/ttyUSB0', {
+            port: fakeSerialPort
+        });
+        device.connected = true;
+    });
+    afterEach(function () {
+        if (typeof device.acknowledge[0] === "function") {
+            device.acknowledge[0]();
+        }
+    });
+    describe('instantiation', function () {
+        it('should throw an error if no subtype is specified', function () {
+            expect(function () {
+                security1 = new rfxcom.Security1(device);
+            }).toThrow("Must provide a subtype.");
+        });
+    });
+    describe('.armAway', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.X10_SECURITY);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.armAway('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x02, 0x00, 0x12, 0x34, 0x56, 0x09, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should accept an array address', function (done) {
+            var sentCommandId = NaN;
+            security1.armAway(['0x123456'], function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x02, 0x00, 0x12, 0x34, 0x56, 0x09, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid device ID', function () {
+            expect(function () {
+                security1.armAway('0x1234567');
+            }).toThrow("Address 0x1234567 outside valid range");
+        });
+        it('should throw an error with an invalid device ID format', function () {
+            expect(function () {
+                security1.armAway('0x1234/1');
+            }).toThrow("Invalid deviceId format");
+        });
+    });
+    describe('.armHome', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.MEIANTECH);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.armHome('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x08, 0x00, 0x12, 0x34, 0x56, 0x0B, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a sensor', function () {
+            expect(function () {
+                new rfxcom.Security1(device, rfxcom.security1.X10_PIR).armHome('0x123456');
+            }).toThrow("Device does not support armHome()");
+        });
+    });
+    describe('.disarm', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.X10_SECURITY);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.disarm('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x02, 0x00, 0x12, 0x34, 0x56, 0x0D, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a smoke detector', function () {
+            expect(function () {
+                new rfxcom.Security1(device, rfxcom.security1.KD101).disarm('0x123456');
+            }).toThrow("Device does not support disarm()");
+        });
+    });
+    describe('.panic', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.KD101);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.panic('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x03, 0x00, 0x12, 0x34, 0x56, 0x06, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a Powercode sensor', function () {
+            expect(function () {
+                new rfxcom.Security1(device, rfxcom.security1.POWERCODE_DOOR).panic('0x123456');
+            }).toThrow("Device does not support panic()");
+        });
+    });
+    describe('.switchLightOn', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.X10_SECURITY);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.switchLightOn('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x02, 0x00, 0x12, 0x34, 0x56, 0x11, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.switchLightOn('0x123456', 2, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x02, 0x00, 0x12, 0x34, 0x56, 0x13, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid light number', function () {
+            expect(function () {
+                security1.switchLightOn('0x123456', 3);
+            }).toThrow("Invalid light number 3");
+        });
+        it('should throw an error for a Meiantech remote', function () {
+            expect(function () {
+                new rfxcom.Security1(device, rfxcom.security1.MEIANTECH).switchLightOn('0x123456');
+            }).toThrow("Device does not support switchLightOn()");
+        });
+    });
+    describe('.switchLightOff', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.X10_SECURITY);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.switchLightOff('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x02, 0x00, 0x12, 0x34, 0x56, 0x10, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.switchLightOff('0x123456', 2, function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x02, 0x00, 0x12, 0x34, 0x56, 0x12, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.alarmTest', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.POWERCODE_PIR);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.alarmTest('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x05, 0x00, 0x12, 0x34, 0x56, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should sound the alarm of a smoke detector', function (done) {
+            var sentCommandId = NaN;
+            security1 = new rfxcom.Security1(device, rfxcom.security1.SA30);
+            security1.alarmTest('0x1234', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x09, 0x00, 0x00, 0x12, 0x34, 0x06, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a remote', function () {
+            expect(function () {
+                new rfxcom.Security1(device, rfxcom.security1.X10_SECURITY).alarmTest('0x123456');
+            }).toThrow("Device does not support alarmTest()");
+        });
+    });
+    describe('.pair', function () {
+        beforeEach(function () {
+            security1 = new rfxcom.Security1(device, rfxcom.security1.KD101);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            security1.pair('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x20, 0x03, 0x00, 0x12, 0x34, 0x56, 0x17, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/* global require: false, describe: false, module */
+var rfxcom = require('../lib'),
+    net = require('net');
+
+// A local TCP stand-in for an RFXtrx behind a serial-to-TCP bridge. It records the command messages
+// it receives, and answers getStatus & startRx commands (optionally splitting each response into
+// single-byte chunks)
+var startServer = function (options, callback) {
+    var server = net.createServer(function (socket) {
+        server.sockets.push(socket);
+        socket.on("data", function (data) {
+            var bytes = Array.prototype.slice.call(data), response = null;
+            server.received.push(bytes);
+            if (bytes[1] === 0x00 && bytes[4] === 0x02) {
+                response = [0x0D, 0x01, 0x00, bytes[3], 0x02, 0x53, 0x5E, 0x08, 0x02, 0x25, 0x00, 0x01, 0x01, 0x1C];
+            } else if (bytes[1] === 0x00 && bytes[4] === 0x07) {
+                response = [0x14, 0x01, 0x07, bytes[3], 0x07, 0x43, 0x6F, 0x70, 0x79, 0x72, 0x69, 0x67, 0x68,
+                            0x74, 0x20, 0x52, 0x46, 0x58, 0x43, 0x4F, 0x4D];
+            }
+            if (response !== null) {
+                if (options.split) {
+                    response.forEach(function (byte) {
+                        socket.write(Buffer.from([byte]));
+                    });
+                } else {
+                    socket.write(Buffer.from(response));
+                }
+            }
+        });
+    });
+    server.received = [];
+    server.sockets = [];
+    server.listen(0, "127.0.0.1", function () {
+        callback(server, "tcp://127.0.0.1:" + server.address().port);
+    });
+};
+
+var stopServer = function (server, callback) {
+    server.sockets.forEach(function (socket) {
+        socket.destroy();
+    });
+    server.close(callback);
+};
+
+describe("TcpTransport", function () {
+    describe(".parseAddress", function () {
+        it("should return the host and port of a TCP address", function () {
+            expect(rfxcom.TcpTransport.parseAddress("tcp://192.168.1.5:4000")).toEqual({host: "192.168.1.5", port: 4000});
+        });
+        it("should return null for a serial port device", function () {
+            expect(rfxcom.TcpTransport.parseAddress("/dev/ttyUSB0")).toBeNull();
+        });
+        it("should throw an error for a TCP address without a port", function () {
+            expect(function () {
+                rfxcom.TcpTransport.parseAddress("tcp://192.168.1.5");
+            }).toThrow("Invalid TCP address tcp://192.168.1.5, should be tcp://host:port");
+        });
+    });
+    describe("RfxCom with a TCP address", function () {
+        var server, address, device;
+        beforeEach(function () {
+            var ready = false;
+            runs(function () {
+                startServer({split: true}, function (s, a) {
+                    server = s;
+                    address = a;
+                    ready = true;
+                });
+            });
+            waitsFor(function () {
+                return ready;
+            }, "server to start", 1000);
+        });
+        afterEach(function () {
+            var stopped = false;
+            runs(function () {
+                if (device) {
+                    device.close();
+                }
+                stopServer(server, function () {
+                    stopped = true;
+                });
+            });
+            waitsFor(function () {
+                return stopped;
+            }, "server to stop", 1000);
+        });
+        it("should reject a malformed TCP address", function () {
+            expect(function () {
+                device = new rfxcom.RfxCom("tcp://:4000");
+            }).toThrow("Invalid TCP address tcp://:4000, should be tcp://host:port");
+            device = undefined;
+        });
+        it("should initialise over the connection, reassembling packets split across reads", function (done) {
+            device = new rfxcom.RfxCom(address);
+            device.initialiseWaitTime = 500;
+            device.on("status", function (evt) {
+                expect(evt.receiverType).toBe("433.92MHz transceiver");
+            });
+            device.initialise(function (err) {
+                expect(err).toBeFalsy();
+                expect(device.initialiseState).toBe(rfxcom.initialiseState.READY);
+                // reset, getStatus & startRx
+                expect(server.received.length).toBe(3);
+                expect(server.received[1]).toEqual([0x0D, 0x00, 0x00, 0x01, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+                done();
+            });
+        });
+        it("should send transmitter commands over the connection", function (done) {
+            var lighting2;
+            device = new rfxcom.RfxCom(address);
+            device.initialiseWaitTime = 500;
+            lighting2 = new rfxcom.Lighting2(device, rfxcom.lighting2.AC);
+            device.initialise(function () {
+                lighting2.switchOn("0x03FFFFFF/1");
+                setTimeout(function () {
+                    expect(server.received[3]).toEqual([0x0B, 0x11, 0x00, 0x03, 0x03, 0xFF, 0xFF, 0xFF, 0x01, 0x01, 0x0F, 0x00]);
+                    done();
+                }, 100);
+            });
+        });
+        it("should emit a 'disconnect' event when the connection is closed at the other end", function (done) {
+            device = new rfxcom.RfxCom(address);
+            device.initialiseWaitTime = 500;
+            device.on("disconnect", function () {
+                expect(device.connected).toBeFalsy();
+                done();
+            });
+            device.initialise(function () {
+                server.sockets.forEach(function (socket) {
+                    socket.end();
+                });
+            });
+        });
+        it("should emit a 'connectfailed' event when nothing is listening", function (done) {
+            var unused = address;
+            stopServer(server, function () {
+                device = new rfxcom.RfxCom(unused);
+                device.on("connectfailed", function () {
+                    done();
+                });
+                device.open();
+                server = net.createServer();
+                server.sockets = [];
+            });
+        });
+    });
+});
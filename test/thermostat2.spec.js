@@ -0,0 +1,102 @@
+/* global require: false, beforeEach: false, describe: false, it: false, expect: false */
+var rfxcom = require('../lib'),
+    matchers = require('./matchers'),
+    FakeSerialPort = require('./helper');
+
+describe('Thermostat2 class', function () {
+    var thermostat2,
+        fakeSerialPort,
+        device;
+    beforeEach(function () {
+        this.addMatchers({
+            toHaveSent: matchers.toHaveSent
+        });
+        fakeSerialPort = new FakeSerialPort();
+        device = new rfxcom.RfxCom('/dev/ttyUSB0', {
+            port: fakeSerialPort
+        });
+        device.connected = true;
+    });
+    afterEach(function () {
+        if (typeof device.acknowledge[0] === "function") {
+            device.acknowledge[0]();
+        }
+    });
+    describe('instantiation', function () {
+        it('should throw an error if no subtype is specified', function () {
+            expect(function () {
+                thermostat2 = new rfxcom.Thermostat2(device);
+            }).toThrow("Must provide a subtype.");
+        });
+    });
+    describe('.switchOn', function () {
+        beforeEach(function () {
+            thermostat2 = new rfxcom.Thermostat2(device, rfxcom.thermostat2.HE105);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat2.switchOn('0x1F', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x41, 0x00, 0x00, 0x1F, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should accept an array address', function (done) {
+            var sentCommandId = NaN;
+            thermostat2.switchOn(['5'], function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x41, 0x00, 0x00, 0x05, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid unit code', function () {
+            expect(function () {
+                thermostat2.switchOn('32');
+            }).toThrow("Invalid unit code 32");
+        });
+        it('should throw an error with an invalid deviceId format', function () {
+            expect(function () {
+                thermostat2.switchOn('1/2');
+            }).toThrow("Invalid deviceId format");
+        });
+    });
+    describe('.switchOff', function () {
+        beforeEach(function () {
+            thermostat2 = new rfxcom.Thermostat2(device, rfxcom.thermostat2.RTS10);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat2.switchOff('3', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x41, 0x01, 0x00, 0x03, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.program', function () {
+        beforeEach(function () {
+            thermostat2 = new rfxcom.Thermostat2(device, rfxcom.thermostat2.RTS10);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat2.program('3', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x06, 0x41, 0x01, 0x00, 0x03, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a HE105', function () {
+            expect(function () {
+                new rfxcom.Thermostat2(device, rfxcom.thermostat2.HE105).program('3');
+            }).toThrow("Device does not support program()");
+        });
+    });
+});
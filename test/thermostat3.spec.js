@@ -0,0 +1,207 @@
+/* global require: false, beforeEach: false, describe: false, it: false, expect: false */
+var rfxcom = require('../lib'),
+    matchers = require('./matchers'),
+    FakeSerialPort = require('./helper');
+
+describe('Thermostat3 class', function () {
+    var thermostat3,
+        fakeSerialPort,
+        device;
+    beforeEach(function () {
+        this.addMatchers({
+            toHaveSent: matchers.toHaveSent
+        });
+        fakeSerialPort = new FakeSerialPort();
+        device = new rfxcom.RfxCom('/dev/ttyUSB0', {
+            port: fakeSerialPort
+        });
+        device.connected = true;
+    });
+    afterEach(function () {
+        if (typeof device.acknowledge[0] === "function") {
+            device.acknowledge[0]();
+        }
+    });
+    describe('instantiation', function () {
+        it('should throw an error if no subtype is specified', function () {
+            expect(function () {
+                thermostat3 = new rfxcom.Thermostat3(device);
+            }).toThrow("Must provide a subtype.");
+        });
+    });
+    describe('.switchOn', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4T1);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.switchOn('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x00, 0x00, 0x12, 0x34, 0x56, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should accept an array address', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.switchOn(['0x123456'], function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x00, 0x00, 0x12, 0x34, 0x56, 0x01, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error with an invalid device ID', function () {
+            expect(function () {
+                thermostat3.switchOn('0x1234567');
+            }).toThrow("Address 0x1234567 outside valid range");
+        });
+        it('should throw an error with an invalid deviceId format', function () {
+            expect(function () {
+                thermostat3.switchOn('0x1234/1');
+            }).toThrow("Invalid deviceId format");
+        });
+    });
+    describe('.switchOff', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4T1);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.switchOff('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x00, 0x00, 0x12, 0x34, 0x56, 0x00, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.up', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TB);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.up('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x01, 0x00, 0x12, 0x34, 0x56, 0x02, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.down', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TB);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.down('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x01, 0x00, 0x12, 0x34, 0x56, 0x03, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+    describe('.runUp', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TD);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.runUp('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x02, 0x00, 0x12, 0x34, 0x56, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a G6R-H4TB', function () {
+            expect(function () {
+                new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TB).runUp('0x123456');
+            }).toThrow("Device does not support runUp()");
+        });
+    });
+    describe('.runDown', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4S);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.runDown('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x03, 0x00, 0x12, 0x34, 0x56, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for a G6R-H4TB', function () {
+            expect(function () {
+                new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TB).runDown('0x123456');
+            }).toThrow("Device does not support runDown()");
+        });
+    });
+    describe('.switchOff2', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TB);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.switchOff2('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x01, 0x00, 0x12, 0x34, 0x56, 0x04, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for any other subtype', function () {
+            expect(function () {
+                new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4T1).switchOff2('0x123456');
+            }).toThrow("Device does not support switchOff2()");
+        });
+    });
+    describe('.switchOn2', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TB);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.switchOn2('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x01, 0x00, 0x12, 0x34, 0x56, 0x05, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+        it('should throw an error for any other subtype', function () {
+            expect(function () {
+                new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4S).switchOn2('0x123456');
+            }).toThrow("Device does not support switchOn2()");
+        });
+    });
+    describe('.stop', function () {
+        beforeEach(function () {
+            thermostat3 = new rfxcom.Thermostat3(device, rfxcom.thermostat3.MERTIK_G6R_H4TB);
+        });
+        it('should send the correct bytes to the serialport', function (done) {
+            var sentCommandId = NaN;
+            thermostat3.stop('0x123456', function (err, response, cmdId) {
+                sentCommandId = cmdId;
+                done();
+            });
+            expect(fakeSerialPort).toHaveSent([0x08, 0x42, 0x01, 0x00, 0x12, 0x34, 0x56, 0x06, 0x00]);
+            device.messageHandler([0x00, 0x00, 0x00]);
+            expect(sentCommandId).toEqual(0);
+        });
+    });
+});